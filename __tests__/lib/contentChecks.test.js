@@ -0,0 +1,85 @@
+import { CONTENT_CHECKS, MAX_MASKED_WORDS, normalizeComment, runContentChecks } from '../../lib/contentChecks';
+
+// Just enough of a database for the duplicate check: the author's reviews
+// from the last day
+function mockDb(comments) {
+  return {
+    collection: () => ({
+      find: () => ({
+        project: () => ({ toArray: async () => comments.map(comment => ({ comment })) })
+      })
+    })
+  };
+}
+
+function flagged(result) {
+  return result.flags.map(flag => flag.check);
+}
+
+describe('runContentChecks', () => {
+  it('passes an ordinary review untouched', async () => {
+    const result = await runContentChecks('Great fries, a bit salty. Would get again!', {});
+    expect(result).toEqual({ comment: 'Great fries, a bit salty. Would get again!', flags: [], needsReview: false });
+  });
+
+  it('masks blocked words whole without holding the review', async () => {
+    const result = await runContentChecks('The fries were fucking great, no shit', {});
+    expect(result.comment).toBe('The fries were f****** great, no s***');
+    expect(result.needsReview).toBe(false);
+  });
+
+  it('leaves words that only start like a blocked word', async () => {
+    const result = await runContentChecks('Shitake mushrooms in the stir fry', {});
+    expect(result.comment).toBe('Shitake mushrooms in the stir fry');
+  });
+
+  it('holds reviews with more than a few blocked words', async () => {
+    const comment = Array.from({ length: MAX_MASKED_WORDS + 1 }, () => 'shit').join(' ');
+    const result = await runContentChecks(comment, {});
+    expect(flagged(result)).toEqual(['wordList']);
+    expect(result.needsReview).toBe(true);
+  });
+
+  it('holds links and bare domains', async () => {
+    expect(flagged(await runContentChecks('Order at https://cheap.example now', {}))).toEqual(['link']);
+    expect(flagged(await runContentChecks('better food at www.example.org', {}))).toEqual(['link']);
+    expect(flagged(await runContentChecks('cheapmeals.biz has it for less', {}))).toEqual(['link']);
+  });
+
+  it("doesn't take a missing space after a period for a domain", async () => {
+    expect(flagged(await runContentChecks('best soup ever.Me and my friends loved it', {}))).toEqual([]);
+  });
+
+  it('holds long runs of repeated characters, but not long masked words', async () => {
+    expect(flagged(await runContentChecks('sooooooooo good', {}))).toEqual(['repeatedCharacters']);
+    expect(flagged(await runContentChecks('Those were fucking great', {}))).toEqual([]);
+  });
+
+  it('holds a comment the author already posted that day', async () => {
+    const db = mockDb(['Best thing on the line this week.']);
+    const result = await runContentChecks('best thing on the line this week', { db, userId: 'u1' });
+    expect(flagged(result)).toEqual(['duplicate']);
+  });
+
+  it("doesn't hold short comments that happen to repeat", async () => {
+    const db = mockDb(['Good', 'Pretty tasty']);
+    expect(flagged(await runContentChecks('Good!', { db, userId: 'u1' }))).toEqual([]);
+    expect(flagged(await runContentChecks('pretty tasty', { db, userId: 'u1' }))).toEqual([]);
+  });
+
+  it('runs custom checks in order on the text left by earlier ones', async () => {
+    const seen = [];
+    const checks = [
+      ...CONTENT_CHECKS.slice(0, 1),
+      { name: 'spy', run: (comment, { original }) => { seen.push([comment, original]); return {}; } }
+    ];
+    await runContentChecks('no shit', {}, checks);
+    expect(seen).toEqual([['no s***', 'no shit']]);
+  });
+});
+
+describe('normalizeComment', () => {
+  it('ignores case, punctuation and spacing', () => {
+    expect(normalizeComment('  Great   FRIES!!! ')).toBe('great fries');
+  });
+});
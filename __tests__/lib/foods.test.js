@@ -0,0 +1,65 @@
+import { cleanFoodName, editDistance, normalizeFoodName, scoreFoodMatch, singularize, slugify } from '../../lib/foods';
+
+describe('singularize', () => {
+  it('drops plural endings', () => {
+    expect(singularize('tenders')).toBe('tender');
+    expect(singularize('berries')).toBe('berry');
+    expect(singularize('sandwiches')).toBe('sandwich');
+    expect(singularize('dishes')).toBe('dish');
+  });
+
+  it('leaves words that only look plural', () => {
+    expect(singularize('hummus')).toBe('hummus');
+    expect(singularize('couscous')).toBe('couscous');
+    expect(singularize('asparagus')).toBe('asparagus');
+    expect(singularize('bass')).toBe('bass');
+  });
+});
+
+describe('normalizeFoodName', () => {
+  it('gives every spelling of a dish the same match key', () => {
+    const key = normalizeFoodName('Chicken Tenders');
+    expect(normalizeFoodName('chicken tender')).toBe(key);
+    expect(normalizeFoodName('  CHICKEN   tenders!')).toBe(key);
+  });
+
+  it('spells out ampersands', () => {
+    expect(normalizeFoodName('Mac & Cheese')).toBe('mac and cheese');
+  });
+});
+
+describe('cleanFoodName and slugify', () => {
+  it('tidies spacing but keeps capitalization', () => {
+    expect(cleanFoodName('  Mac   and Cheese ')).toBe('Mac and Cheese');
+  });
+
+  it('makes URL-safe slugs', () => {
+    expect(slugify("Mom's Mac & Cheese")).toBe('mom-s-mac-and-cheese');
+  });
+});
+
+describe('scoreFoodMatch', () => {
+  const food = { name: 'Chicken Tenders', aliases: ['Chicken Fingers'] };
+
+  it('ranks exact, prefix, word and substring matches in that order', () => {
+    expect(scoreFoodMatch('chicken tenders', food)).toBe(100);
+    expect(scoreFoodMatch('chick', food)).toBe(80);
+    expect(scoreFoodMatch('fing', food)).toBe(60);
+    expect(scoreFoodMatch('ender', food)).toBe(40);
+  });
+
+  it('tolerates missing and swapped letters', () => {
+    expect(scoreFoodMatch('chiken', food)).toBeGreaterThan(0);
+    expect(scoreFoodMatch('brocoli', { name: 'Broccoli' })).toBeGreaterThan(0);
+    expect(scoreFoodMatch('humus', { name: 'Hummus' })).toBeGreaterThan(0);
+  });
+
+  it('returns 0 for unrelated input', () => {
+    expect(scoreFoodMatch('pizza', food)).toBe(0);
+    expect(scoreFoodMatch('', food)).toBe(0);
+  });
+
+  it('counts edits between spellings', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+});
@@ -0,0 +1,68 @@
+import { ObjectId } from 'mongodb';
+import { afterCursor, decodeCursor, encodeCursor, pageSize, toPage } from '../../lib/pagination';
+
+const SORT = [['rating', -1], ['createdAt', -1], ['_id', -1]];
+
+describe('cursors', () => {
+  it('round-trips dates, ObjectIds and plain values', () => {
+    const doc = { rating: 4, createdAt: new Date('2025-04-25T16:30:00Z'), _id: new ObjectId() };
+    const values = decodeCursor(encodeCursor(doc, SORT), SORT);
+
+    expect(values[0]).toBe(4);
+    expect(values[1]).toBeInstanceOf(Date);
+    expect(values[1].toISOString()).toBe('2025-04-25T16:30:00.000Z');
+    expect(values[2]).toBeInstanceOf(ObjectId);
+    expect(values[2].equals(doc._id)).toBe(true);
+  });
+
+  it('keeps a missing field as null', () => {
+    const doc = { createdAt: new Date(), _id: new ObjectId() };
+    expect(decodeCursor(encodeCursor(doc, SORT), SORT)[0]).toBeNull();
+  });
+
+  it('rejects cursors that are garbage or for another sort', () => {
+    const doc = { rating: 4, createdAt: new Date(), _id: new ObjectId() };
+    const cursor = encodeCursor(doc, SORT);
+
+    expect(decodeCursor('not a cursor', SORT)).toBeNull();
+    expect(decodeCursor(cursor, [['createdAt', -1], ['_id', -1]])).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify([4, { d: 'nope' }, { o: 'x' }])).toString('base64url'), SORT)).toBeNull();
+  });
+
+  it('builds a filter for everything after the cursor', () => {
+    const sort = [['createdAt', -1], ['_id', -1]];
+    const createdAt = new Date('2025-04-25T16:30:00Z');
+    const _id = new ObjectId();
+
+    expect(afterCursor([createdAt, _id], sort)).toEqual({
+      $or: [
+        { $and: [{}, { $or: [{ createdAt: { $lt: createdAt } }, { createdAt: null }] }] },
+        { $and: [{ createdAt }, { $or: [{ _id: { $lt: _id } }, { _id: null }] }] }
+      ]
+    });
+  });
+});
+
+describe('toPage', () => {
+  const sort = [['_id', 1]];
+  const docs = [1, 2, 3].map(() => ({ _id: new ObjectId() }));
+
+  it('returns a cursor for the last item when there is more', () => {
+    const page = toPage(docs, 2, sort);
+    expect(page.items).toHaveLength(2);
+    expect(decodeCursor(page.nextCursor, sort)[0].equals(docs[1]._id)).toBe(true);
+  });
+
+  it('returns no cursor on the last page', () => {
+    expect(toPage(docs, 3, sort).nextCursor).toBeNull();
+  });
+});
+
+describe('pageSize', () => {
+  it('defaults, and caps at the maximum', () => {
+    expect(pageSize(undefined)).toBe(20);
+    expect(pageSize('0')).toBe(20);
+    expect(pageSize('10')).toBe(10);
+    expect(pageSize('500')).toBe(50);
+  });
+});
@@ -0,0 +1,117 @@
+import { ObjectId } from 'mongodb';
+import { sendValidationError, toJsonSchema, validate, validateRequest } from '../../lib/validation';
+import { FIELDS, idParam, required } from '../../lib/schemas';
+
+const BODY = {
+  rating: required(FIELDS.rating),
+  comment: FIELDS.comment,
+  imageUrl: FIELDS.imageUrl,
+  anonymous: { type: 'boolean', default: false }
+};
+
+const QUERY = {
+  id: idParam('review ID'),
+  limit: FIELDS.limit,
+  hasPhoto: { type: 'boolean' }
+};
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('validate', () => {
+  it('returns cleaned values and applies defaults', () => {
+    const { value, errors } = validate(BODY, { rating: 4, comment: '  Great fries  ' });
+    expect(errors).toBeNull();
+    expect(value).toEqual({ rating: 4, comment: 'Great fries', anonymous: false });
+  });
+
+  it('names each bad field', () => {
+    const { errors } = validate(BODY, { rating: 6, comment: 'x'.repeat(2001), imageUrl: 'ftp://x' });
+    expect(errors.rating).toBe('Rating must be from 1 to 5');
+    expect(errors.comment).toBe('Comment must be at most 2000 characters');
+    expect(errors.imageUrl).toBe('Image URL is not in the right format');
+  });
+
+  it('requires required fields and rejects unknown ones', () => {
+    const { errors } = validate(BODY, { userId: 'someone-else' });
+    expect(errors.rating).toBe('Rating is required');
+    expect(errors.userId).toBe('User id is not an accepted field');
+  });
+
+  it("doesn't parse numbers or booleans from JSON strings", () => {
+    const { errors } = validate(BODY, { rating: '4', anonymous: 'true' });
+    expect(errors.rating).toMatch(/whole number/);
+    expect(errors.anonymous).toBe('Anonymous must be true or false');
+  });
+
+  it('treats an empty string as null for nullable fields and an error otherwise', () => {
+    expect(validate(BODY, { rating: 3, imageUrl: '' }).value.imageUrl).toBeNull();
+    expect(validate(BODY, { rating: 3, comment: ' ' }).errors.comment).toBe('Comment cannot be empty');
+  });
+
+  it('rejects a body that is not an object', () => {
+    expect(validate(BODY, [1, 2]).errors).toEqual({ _: 'Request body must be a JSON object' });
+  });
+
+  it('parses query values from text and drops unknown parameters', () => {
+    const id = new ObjectId().toString();
+    const { value, errors } = validate(QUERY, { id, limit: '10', hasPhoto: 'true', extra: 'x' }, { source: 'query' });
+    expect(errors).toBeNull();
+    expect(value.id).toBeInstanceOf(ObjectId);
+    expect(value.id.toString()).toBe(id);
+    expect(value).toMatchObject({ limit: 10, hasPhoto: true });
+    expect(value).not.toHaveProperty('extra');
+  });
+
+  it('rejects repeated query parameters and bad ids', () => {
+    const { errors } = validate(QUERY, { id: 'abc', limit: ['1', '2'] }, { source: 'query' });
+    expect(errors.id).toBe('Invalid review ID');
+    expect(errors.limit).toBe('Limit must be given once');
+  });
+
+  it('checks each item of an array', () => {
+    const schema = { items: FIELDS.menuItems };
+    expect(validate(schema, { items: ['Pasta', ' Fries '] }).value.items).toEqual(['Pasta', 'Fries']);
+    expect(validate(schema, { items: [] }).errors.items).toBe('Items must be a non-empty list of food names');
+    expect(validate(schema, { items: ['x'.repeat(101)] }).errors.items).toBe('Items must be a non-empty list of food names');
+  });
+});
+
+describe('validateRequest', () => {
+  it('returns the cleaned input when it is valid', () => {
+    const res = mockResponse();
+    const input = validateRequest({ query: { limit: '5' }, body: { rating: 5 } }, res, { query: { limit: FIELDS.limit }, body: BODY });
+    expect(input).toEqual({ query: { limit: 5 }, body: { rating: 5, anonymous: false } });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('sends one 400 covering the query and the body', () => {
+    const res = mockResponse();
+    const input = validateRequest({ query: { limit: '0' }, body: {} }, res, { query: { limit: FIELDS.limit }, body: BODY });
+    expect(input).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Limit must be at least 1',
+      fields: { limit: 'Limit must be at least 1', rating: 'Rating is required' }
+    });
+  });
+
+  it('repeats the first message as error', () => {
+    const res = mockResponse();
+    sendValidationError(res, { station: 'Unknown station: Grill' });
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unknown station: Grill', fields: { station: 'Unknown station: Grill' } });
+  });
+});
+
+describe('toJsonSchema', () => {
+  it('turns rules into a collection validator', () => {
+    const schema = toJsonSchema({ rating: required(FIELDS.rating), imageUrl: FIELDS.imageUrl });
+    expect(schema.required).toEqual(['rating']);
+    expect(schema.properties.rating).toMatchObject({ bsonType: ['int', 'long'], minimum: 1, maximum: 5 });
+    expect(schema.properties.imageUrl.bsonType).toEqual(['string', 'null']);
+  });
+});
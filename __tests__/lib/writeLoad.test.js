@@ -0,0 +1,37 @@
+import { PEAK_RPS, isRushHour, parseRushWindows, peakReason } from '../../lib/writeLoad';
+
+// 16:30 UTC is 12:30 in New York in April, the default CAMPUS_TIMEZONE
+const LUNCH = new Date('2025-04-25T16:30:00Z');
+
+describe('peakReason', () => {
+  it('writes directly when quiet', () => {
+    expect(peakReason({ rate: 0, backlog: false, now: LUNCH })).toBeNull();
+  });
+
+  it('batches at or above PEAK_RPS', () => {
+    expect(peakReason({ rate: PEAK_RPS, backlog: false })).toBe('rate');
+    expect(peakReason({ rate: PEAK_RPS - 0.1, backlog: false, now: LUNCH })).toBeNull();
+  });
+
+  it('queues behind a backlog before anything else', () => {
+    expect(peakReason({ rate: PEAK_RPS * 10, backlog: true })).toBe('backlog');
+  });
+});
+
+describe('rush windows', () => {
+  it('parses HH:MM ranges and drops malformed ones', () => {
+    expect(parseRushWindows('11:30-13:00, 17-18:30')).toEqual([[11.5, 13], [17, 18.5]]);
+    expect(parseRushWindows('13:00-11:30,lunch,')).toEqual([]);
+    expect(parseRushWindows('')).toEqual([]);
+  });
+
+  it('checks campus time against the windows', () => {
+    const windows = parseRushWindows('11:30-13:00');
+    expect(isRushHour(LUNCH, windows)).toBe(true);
+    expect(isRushHour(new Date('2025-04-25T18:00:00Z'), windows)).toBe(false);
+  });
+
+  it('has no windows unless RUSH_WINDOWS is set', () => {
+    expect(isRushHour(LUNCH)).toBe(false);
+  });
+});
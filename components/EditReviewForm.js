@@ -0,0 +1,142 @@
+import { useState } from 'react';
+
+export default function EditReviewForm({ review, onSaved, onCancel }) {
+  const [rating, setRating] = useState(review.rating);
+  const [comment, setComment] = useState(review.comment);
+  const [imageUrl, setImageUrl] = useState(undefined); // undefined = keep the current photo
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleImageChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/upload', {
+        method: 'POST',
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload image');
+      }
+
+      setImageUrl(data.imageUrl);
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const changes = { rating, comment };
+      if (imageUrl !== undefined) {
+        changes.imageUrl = imageUrl;
+      }
+
+      const response = await fetch(`/api/reviews?id=${review._id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save changes');
+      }
+
+      onSaved(data.review);
+    } catch (error) {
+      console.error('Error saving review:', error);
+      setError(error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded-lg border border-red-100">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {[1, 2, 3, 4, 5].map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setRating(value)}
+            className={`w-10 h-10 rounded-full font-bold transition-all ${
+              rating === value
+                ? 'bg-gradient-to-br from-amber-500 to-yellow-400 text-white ring-2 ring-amber-300 ring-offset-2'
+                : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+            }`}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        required
+        rows="3"
+        className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
+      ></textarea>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="cursor-pointer text-amber-600 hover:text-amber-700 font-medium">
+          {uploading ? 'Uploading...' : imageUrl ? 'Photo replaced ✓' : 'Replace photo'}
+          <input type="file" accept="image/*" className="hidden" onChange={handleImageChange} />
+        </label>
+        <label className="flex items-center text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={imageUrl === null}
+            onChange={(e) => setImageUrl(e.target.checked ? null : undefined)}
+            className="mr-2 accent-amber-500"
+          />
+          Remove photo
+        </label>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={saving || uploading}
+          className={`bg-amber-500 hover:bg-amber-600 text-white font-medium py-2 px-5 rounded-lg shadow-sm transition-all ${
+            (saving || uploading) ? 'opacity-70 cursor-not-allowed' : ''
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-white hover:bg-gray-50 text-gray-700 font-medium py-2 px-5 rounded-lg border border-gray-200 transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState, useEffect, useRef } from 'react';
+
+const SEARCH_DELAY = 200; // Wait for a pause in typing before searching
+
+// Food name input with suggestions from the catalog. Picking a suggestion
+// calls onSelect with the food so the form can fill in its station too.
+export default function FoodAutocomplete({ value, onChange, onSelect, station, className, ...inputProps }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const skipNextSearch = useRef(false);
+  const listId = `${inputProps.id || 'food'}-suggestions`;
+
+  useEffect(() => {
+    // Don't reopen the list for the value we just filled in from it
+    if (skipNextSearch.current) {
+      skipNextSearch.current = false;
+      return;
+    }
+
+    if (!value || value.trim().length === 0) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: value });
+        if (station) params.set('station', station);
+
+        const response = await fetch(`/api/foodItems/search?${params}`, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error('Failed to fetch suggestions');
+        }
+        const data = await response.json();
+        setSuggestions(data.suggestions);
+        setHighlighted(-1);
+        setOpen(true);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching suggestions:', error);
+        }
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, station]);
+
+  const selectSuggestion = (food) => {
+    skipNextSearch.current = food.name !== value || food.station !== station;
+    setOpen(false);
+    onSelect(food);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        {...inputProps}
+        type="text"
+        value={value}
+        onChange={onChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => suggestions.length > 0 && setOpen(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        className={className}
+      />
+
+      {open && suggestions.length > 0 && (
+        <ul id={listId} role="listbox" className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((food, index) => (
+            <li
+              key={food._id}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(food)}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-4 py-2 cursor-pointer flex items-center justify-between ${
+                index === highlighted ? 'bg-amber-50' : ''
+              }`}
+            >
+              <span className="text-gray-800">{food.name}</span>
+              <span className="text-sm text-amber-600">{food.station}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
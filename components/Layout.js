@@ -1,9 +1,30 @@
+import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
+import useSession from '../lib/useSession';
 
 export default function Layout({ children, title, description }) {
   const defaultTitle = 'Rate Lowry - Food Ratings for Lowry Cafeteria';
   const defaultDescription = 'Rate and review food items at Lowry Cafeteria dining hall';
+  const { user, signOut } = useSession();
+  const router = useRouter();
+  const [searchQuery, setSearchQuery] = useState('');
+
+  // Keep the box in sync with the results page's query
+  useEffect(() => {
+    if (router.pathname === '/search' && typeof router.query.q === 'string') {
+      setSearchQuery(router.query.q);
+    }
+  }, [router.pathname, router.query.q]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (query) {
+      router.push(`/search?q=${encodeURIComponent(query)}`);
+    }
+  };
   
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
@@ -22,7 +43,7 @@ export default function Layout({ children, title, description }) {
       <header className="bg-gradient-to-r from-amber-500 via-amber-400 to-yellow-400 py-6 relative">
         <div className="absolute inset-0 bg-[url('https://www.transparenttextures.com/patterns/cubes.png')] opacity-10"></div>
         <div className="container mx-auto px-6 relative">
-          <div className="flex items-center justify-between">
+          <div className="flex flex-wrap items-center justify-between">
             <Link href="/" className="group flex items-center">
               <div className="mr-3">
                 <img 
@@ -42,13 +63,50 @@ export default function Layout({ children, title, description }) {
               </div>
             </Link>
             
-            <Link 
-              href="/new" 
-              className="bg-white text-amber-500 hover:text-amber-600 font-medium py-2 px-4 rounded-lg shadow-sm hover:shadow-md transition-all transform hover:-translate-y-0.5 text-sm font-['Outfit']"
-              style={{ color: "#f59e0b" }}
-            >
-              + Add Review
-            </Link>
+            <form onSubmit={handleSearch} className="order-last md:order-none w-full md:w-auto md:flex-grow md:max-w-md mt-4 md:mt-0 md:mx-6" role="search">
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search dishes and reviews..."
+                aria-label="Search dishes and reviews"
+                className="w-full px-4 py-2 rounded-lg bg-white/90 focus:bg-white text-gray-800 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-white font-['Outfit']"
+              />
+            </form>
+            
+            <div className="flex items-center gap-4">
+              {user ? (
+                <div className="hidden sm:flex items-center text-white text-sm font-['Outfit']">
+                  {['moderator', 'admin'].includes(user.role) && (
+                    <Link href="/admin/moderation" className="mr-4 opacity-80 hover:opacity-100 underline-offset-2 hover:underline">
+                      Moderate
+                    </Link>
+                  )}
+                  <span className="font-medium mr-3">{user.displayName}</span>
+                  <button
+                    onClick={signOut}
+                    className="text-white opacity-80 hover:opacity-100 underline-offset-2 hover:underline"
+                  >
+                    Sign out
+                  </button>
+                </div>
+              ) : (
+                <Link
+                  href="/login"
+                  className="text-white text-sm font-medium opacity-90 hover:opacity-100 font-['Outfit']"
+                >
+                  Sign in
+                </Link>
+              )}
+
+              <Link 
+                href="/new" 
+                className="bg-white text-amber-500 hover:text-amber-600 font-medium py-2 px-4 rounded-lg shadow-sm hover:shadow-md transition-all transform hover:-translate-y-0.5 text-sm font-['Outfit']"
+                style={{ color: "#f59e0b" }}
+              >
+                + Add Review
+              </Link>
+            </div>
           </div>
         </div>
       </header>
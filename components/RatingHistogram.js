@@ -0,0 +1,37 @@
+// Horizontal bars for how many reviews gave each star value. Clicking a row
+// calls onSelect with that star value so the page can filter to it.
+export default function RatingHistogram({ distribution, selected, onSelect }) {
+  const total = distribution.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  return (
+    <div className="space-y-2">
+      {distribution.map(({ rating, count }) => {
+        const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+        const isSelected = String(rating) === String(selected);
+
+        return (
+          <button
+            key={rating}
+            type="button"
+            onClick={() => onSelect && onSelect(isSelected ? '' : String(rating))}
+            disabled={!onSelect || count === 0}
+            aria-pressed={isSelected}
+            title={`${count} ${count === 1 ? 'review' : 'reviews'} with ${rating} ${rating === 1 ? 'star' : 'stars'}`}
+            className={`w-full flex items-center gap-3 text-sm rounded-lg px-2 py-1 transition-colors disabled:cursor-default ${
+              isSelected ? 'bg-amber-50' : 'enabled:hover:bg-gray-50'
+            }`}
+          >
+            <span className="w-10 shrink-0 text-left text-gray-700 font-medium">{rating} ★</span>
+            <span className="flex-grow h-3 bg-gray-100 rounded-full overflow-hidden">
+              <span
+                className="block h-full bg-amber-400 rounded-full"
+                style={{ width: `${percent}%` }}
+              ></span>
+            </span>
+            <span className="w-16 shrink-0 text-right text-gray-500">{percent}% ({count})</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
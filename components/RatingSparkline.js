@@ -0,0 +1,69 @@
+const WIDTH = 280;
+const HEIGHT = 64;
+const PADDING = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average rating per day (or per week) over the last `days` days as a small
+// line chart. Periods without reviews are left out, so the line joins the
+// ones that have them.
+export default function RatingSparkline({ trend, days, period = 'day' }) {
+  if (trend.length < 2) {
+    return (
+      <p className="text-sm text-gray-500">
+        Not enough recent reviews to show a trend yet.
+      </p>
+    );
+  }
+
+  // Spread points by date so quiet weeks show as gaps, not compressed away
+  const end = Date.parse(trend[trend.length - 1].date);
+  const start = Math.min(Date.parse(trend[0].date), end - (days - 1) * DAY_MS);
+  const span = Math.max(end - start, DAY_MS);
+
+  const x = (date) => PADDING + ((Date.parse(date) - start) / span) * (WIDTH - PADDING * 2);
+  const y = (rating) => PADDING + ((5 - rating) / 4) * (HEIGHT - PADDING * 2);
+
+  const points = trend.map(day => `${x(day.date).toFixed(1)},${y(day.avgRating).toFixed(1)}`).join(' ');
+  const latest = trend[trend.length - 1];
+
+  return (
+    <figure>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-16"
+        role="img"
+        aria-label={`${period === 'week' ? 'Weekly' : 'Daily'} average rating over the last ${days} days, most recently ${latest.avgRating} ${period === 'week' ? 'the week of' : 'on'} ${latest.date}`}
+      >
+        {/* Guide lines at 1, 3 and 5 stars */}
+        {[1, 3, 5].map(rating => (
+          <line
+            key={rating}
+            x1={PADDING}
+            x2={WIDTH - PADDING}
+            y1={y(rating)}
+            y2={y(rating)}
+            className="stroke-gray-100"
+            strokeWidth="1"
+          />
+        ))}
+        <polyline
+          points={points}
+          fill="none"
+          className="stroke-amber-500"
+          strokeWidth="2"
+          strokeLinejoin="round"
+          strokeLinecap="round"
+        />
+        {trend.map(day => (
+          <circle key={day.date} cx={x(day.date)} cy={y(day.avgRating)} r="2.5" className="fill-amber-500">
+            <title>{`${period === 'week' ? 'Week of ' : ''}${day.date}: ${day.avgRating} ★ from ${day.count} ${day.count === 1 ? 'review' : 'reviews'}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <figcaption className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{days} days ago</span>
+        <span>Latest: {latest.avgRating.toFixed(1)} ★</span>
+      </figcaption>
+    </figure>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { MAX_REPORT_DETAILS, REPORT_CATEGORIES } from '../lib/reports';
+
+// Inline form for reporting a review to the moderators. onReported gets
+// whether the report took the review down.
+export default function ReportReviewForm({ reviewId, onReported, onCancel }) {
+  const [category, setCategory] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/reviews/${reviewId}/report`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ category, details }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to report review');
+      }
+
+      onReported(data.hidden);
+    } catch (error) {
+      console.error('Error reporting review:', error);
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 bg-white p-4 rounded-lg border border-gray-200">
+      <p className="text-sm font-medium text-gray-700 mb-3">What&apos;s wrong with this review?</p>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <div className="space-y-2 mb-3">
+        {Object.entries(REPORT_CATEGORIES).map(([value, label]) => (
+          <label key={value} className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              name={`report-${reviewId}`}
+              value={value}
+              checked={category === value}
+              onChange={() => setCategory(value)}
+              className="mr-2 accent-amber-500"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Anything the moderators should know (optional)"
+        maxLength={MAX_REPORT_DETAILS}
+        rows={2}
+        className="w-full px-3 py-2 mb-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 text-sm text-gray-800"
+      />
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={!category || submitting}
+          className="bg-red-500 hover:bg-red-600 text-white text-sm font-medium py-2 px-4 rounded-lg shadow-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Reporting...' : 'Report'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-gray-500 hover:text-gray-700 font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { diffWords } from '../lib/textDiff';
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString(undefined, {
+  year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+// Shows each saved version of a review with the changes from the version before it
+export default function ReviewHistory({ reviewId, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await fetch(`/api/reviews/${reviewId}/history`);
+        if (!response.ok) {
+          throw new Error('Failed to load edit history');
+        }
+        const data = await response.json();
+        setVersions(data.versions);
+      } catch (error) {
+        console.error('Error fetching review history:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [reviewId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-lg max-w-2xl w-full max-h-[85vh] overflow-y-auto p-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800 font-['Plus_Jakarta_Sans']">Edit History</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl leading-none">&times;</button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <div className="w-10 h-10 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : error ? (
+          <p className="text-red-600">{error}</p>
+        ) : (
+          <ol className="space-y-4">
+            {/* Newest version first */}
+            {versions.map((version, index) => {
+              const previous = versions[index - 1];
+              return { version, previous, index };
+            }).reverse().map(({ version, previous, index }) => (
+              <li key={index} className="border border-gray-100 rounded-xl p-4 bg-gray-50">
+                <div className="flex items-center justify-between text-sm text-gray-500 mb-2">
+                  <span>{index === 0 ? 'Original' : `Edit ${index}`}{index === versions.length - 1 ? ' (current)' : ''}</span>
+                  <span>{formatDateTime(version.savedAt)}</span>
+                </div>
+
+                <div className="text-amber-500 mb-2">
+                  {previous && previous.rating !== version.rating && (
+                    <span className="line-through text-gray-400 mr-2">{previous.rating}/5</span>
+                  )}
+                  <span className="font-medium">{version.rating}/5</span>
+                </div>
+
+                <p className="text-gray-700">
+                  {previous ? diffWords(previous.comment, version.comment).map((part, i) => (
+                    <span
+                      key={i}
+                      className={
+                        part.type === 'added' ? 'bg-green-100 text-green-800' :
+                        part.type === 'removed' ? 'bg-red-100 text-red-700 line-through' : ''
+                      }
+                    >
+                      {part.text}
+                    </span>
+                  )) : version.comment}
+                </p>
+
+                {previous && previous.imageUrl !== version.imageUrl && (
+                  <p className="text-sm text-gray-500 mt-2">
+                    {version.imageUrl ? (previous.imageUrl ? 'Photo replaced' : 'Photo added') : 'Photo removed'}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
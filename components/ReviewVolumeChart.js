@@ -0,0 +1,55 @@
+const WIDTH = 280;
+const HEIGHT = 80;
+const GAP = 3;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bars for how many reviews came in each week, oldest on the left and
+// ending at currentWeek. Weeks with no reviews get an empty slot so the
+// spacing reflects real time.
+export default function ReviewVolumeChart({ trend, weeks, currentWeek }) {
+  if (trend.length === 0) {
+    return <p className="text-sm text-gray-500">No reviews in the last {weeks} weeks.</p>;
+  }
+
+  const counts = new Map(trend.map(week => [week.date, week.count]));
+  const lastWeek = Date.parse(currentWeek);
+  const slots = Array.from({ length: weeks }, (_, index) => {
+    const date = new Date(lastWeek - (weeks - 1 - index) * WEEK_MS).toISOString().slice(0, 10);
+    return { date, count: counts.get(date) || 0 };
+  });
+
+  const max = Math.max(...slots.map(slot => slot.count));
+  const barWidth = (WIDTH - GAP * (weeks - 1)) / weeks;
+
+  return (
+    <figure>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-20"
+        role="img"
+        aria-label={`Reviews per week over the last ${weeks} weeks, up to ${max} in a week`}
+      >
+        {slots.map((slot, index) => {
+          const height = max > 0 ? Math.max((slot.count / max) * HEIGHT, slot.count > 0 ? 2 : 0) : 0;
+          return (
+            <rect
+              key={slot.date}
+              x={index * (barWidth + GAP)}
+              y={HEIGHT - height}
+              width={barWidth}
+              height={height}
+              rx="2"
+              className="fill-amber-400"
+            >
+              <title>{`Week of ${slot.date}: ${slot.count} ${slot.count === 1 ? 'review' : 'reviews'}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <figcaption className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{weeks} weeks ago</span>
+        <span>Busiest week: {max} {max === 1 ? 'review' : 'reviews'}</span>
+      </figcaption>
+    </figure>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+
+// Helpful / not helpful buttons with their counts. Clicking the vote
+// already cast takes it back. Without canVote only the counts are shown.
+export default function ReviewVotes({ review, canVote, onVoted }) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const upVotes = review.upVotes || 0;
+  const downVotes = review.downVotes || 0;
+  const myVote = review.myVote || 0;
+
+  const vote = async (value) => {
+    const nextValue = myVote === value ? 0 : value;
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/reviews/${review._id}/vote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ value: nextValue }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save vote');
+      }
+
+      onVoted({ upVotes: data.upVotes, downVotes: data.downVotes, myVote: data.myVote });
+    } catch (error) {
+      console.error('Error voting on review:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const buttonClass = (value) => `flex items-center gap-1 px-2 py-1 rounded-lg border transition-all disabled:cursor-not-allowed ${
+    myVote === value
+      ? 'bg-amber-100 border-amber-300 text-amber-700'
+      : 'border-gray-200 text-gray-500 hover:border-amber-300 hover:text-amber-600'
+  }`;
+
+  if (!canVote) {
+    if (upVotes === 0 && downVotes === 0) return null;
+    return (
+      <p className="text-sm text-gray-500 mb-4">
+        {upVotes} found this helpful{downVotes > 0 && <>, {downVotes} didn&apos;t</>}
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+      <span className="text-gray-500 mr-1">Helpful?</span>
+      <button
+        onClick={() => vote(1)}
+        disabled={saving}
+        aria-pressed={myVote === 1}
+        className={buttonClass(1)}
+      >
+        👍 <span>{upVotes}</span>
+      </button>
+      <button
+        onClick={() => vote(-1)}
+        disabled={saving}
+        aria-pressed={myVote === -1}
+        className={buttonClass(-1)}
+      >
+        👎 <span>{downVotes}</span>
+      </button>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
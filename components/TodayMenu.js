@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { MEAL_PERIODS, getMealPeriod } from '../lib/menus';
+import { foodPath, normalizeFoodName } from '../lib/foods';
+
+const ratingKey = (foodItem, station) => `${normalizeFoodName(foodItem)}|${station}`;
+
+// "Today at Lowry": today's menu with each dish's rating data merged in
+export default function TodayMenu() {
+  const [menus, setMenus] = useState([]);
+  const [ratings, setRatings] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [selectedPeriod, setSelectedPeriod] = useState(getMealPeriod());
+
+  useEffect(() => {
+    const fetchTodayMenu = async () => {
+      try {
+        const [menuResponse, foodItemsResponse] = await Promise.all([
+          fetch('/api/menus'),
+          fetch('/api/foodItems')
+        ]);
+
+        if (!menuResponse.ok || !foodItemsResponse.ok) {
+          throw new Error('Failed to fetch today\'s menu');
+        }
+
+        const menuData = await menuResponse.json();
+        const foodItemsData = await foodItemsResponse.json();
+
+        const ratingsByDish = {};
+        (foodItemsData.foodItems || []).forEach(item => {
+          ratingsByDish[ratingKey(item.foodItem, item.station)] = item;
+        });
+
+        setMenus(menuData.menus);
+        setRatings(ratingsByDish);
+      } catch (error) {
+        // The rest of the home page still works without the menu
+        console.error('Error fetching today\'s menu:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTodayMenu();
+  }, []);
+
+  if (loading || menus.length === 0) {
+    return null;
+  }
+
+  const periodsServed = MEAL_PERIODS.filter(period => menus.some(menu => menu.mealPeriod === period));
+  const activePeriod = periodsServed.includes(selectedPeriod) ? selectedPeriod : periodsServed[0];
+  const periodMenus = menus.filter(menu => menu.mealPeriod === activePeriod);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 mb-10 p-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center font-['Plus_Jakarta_Sans']">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-amber-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+          </svg>
+          Today at Lowry
+        </h2>
+        <div className="flex gap-2">
+          {periodsServed.map(period => (
+            <button
+              key={period}
+              onClick={() => setSelectedPeriod(period)}
+              className={`px-4 py-1.5 rounded-full text-sm font-medium capitalize transition-all ${
+                period === activePeriod
+                  ? 'bg-amber-500 text-white shadow-sm'
+                  : 'bg-amber-50 text-amber-700 hover:bg-amber-100'
+              }`}
+            >
+              {period}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {periodMenus.map(menu => (
+          <div key={menu._id} className="border border-gray-100 rounded-xl p-5 bg-gray-50">
+            <h3 className="text-amber-600 font-semibold mb-3">{menu.station}</h3>
+            <ul className="space-y-2">
+              {menu.items.map(foodItem => {
+                const rating = ratings[ratingKey(foodItem, menu.station)];
+                return (
+                  <li key={foodItem}>
+                    <Link
+                      href={rating
+                        ? foodPath(rating.foodItem, rating.station, rating.slug)
+                        : `/new?foodItem=${encodeURIComponent(foodItem)}&station=${encodeURIComponent(menu.station)}`}
+                      className="flex items-center justify-between gap-3 hover:text-amber-600 transition-colors"
+                    >
+                      <span className="text-gray-800">{foodItem}</span>
+                      {rating ? (
+                        <span className="flex items-center text-sm shrink-0">
+                          <span className="text-amber-500 mr-1">★</span>
+                          <span className="font-bold text-gray-700">{rating.avgRating.toFixed(1)}</span>
+                          <span className="text-gray-400 ml-1">({rating.reviewCount})</span>
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-400 shrink-0">Be the first to rate</span>
+                      )}
+                    </Link>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+const nextJest = require('next/jest');
+
+// Transforms lib/ and pages/ the way Next does, so tests can import the
+// same ES modules the app runs
+const createJestConfig = nextJest({ dir: './' });
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js']
+});
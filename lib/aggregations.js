@@ -0,0 +1,233 @@
+import { CAMPUS_TIMEZONE } from './menus.js';
+
+// Review aggregation pipelines shared by the API and
+// scripts/aggregation-pipelines.js. Each builder takes the $match for the
+// reviews it should cover, so the same stages serve one dish or the whole
+// cafeteria.
+
+export const ACTIVE_REVIEWS = { isActive: { $ne: false } };
+
+// Review count per star value, lowest first. Stars nobody gave are missing.
+export function ratingCountStages() {
+  return [
+    { $group: {
+        _id: "$rating",
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+// Review count and average per period, oldest first. Periods are campus
+// calendar days or weeks so a late dinner review lands on the right date.
+function trendStages(period, timezone) {
+  return [
+    { $group: {
+        _id: {
+          date: { $dateToString: { format: "%Y-%m-%d", date: period, timezone } }
+        },
+        count: { $sum: 1 },
+        avgRating: { $avg: "$rating" },
+        stations: { $addToSet: "$station" }
+      }
+    },
+    { $project: {
+        _id: 0,
+        date: "$_id.date",
+        count: 1,
+        avgRating: { $round: ["$avgRating", 1] },
+        stationCount: { $size: "$stations" }
+      }
+    },
+    { $sort: { "date": 1 } }
+  ];
+}
+
+export function dailyTrendStages(timezone = CAMPUS_TIMEZONE) {
+  return trendStages("$createdAt", timezone);
+}
+
+// Weeks start on Monday and are labelled with that Monday's date
+export function weeklyTrendStages(timezone = CAMPUS_TIMEZONE) {
+  return trendStages(
+    { $dateTrunc: { date: "$createdAt", unit: "week", startOfWeek: "monday", timezone } },
+    timezone
+  );
+}
+
+// Totals for each station: volume, average, how long it has been reviewed,
+// how many dishes and how many photos
+export function stationAnalyticsStages() {
+  return [
+    { $group: {
+        _id: "$station",
+        totalReviews: { $sum: 1 },
+        averageRating: { $avg: "$rating" },
+        // Efficient use of $min/$max instead of sorting
+        latestReview: { $max: "$createdAt" },
+        oldestReview: { $min: "$createdAt" },
+        // Collect unique food items without additional lookups
+        distinctFoodItems: { $addToSet: "$foodItem" },
+        photoCount: {
+          $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ["$imageUrl", ""] } }, 0] }, 1, 0] }
+        }
+      }
+    },
+    // Calculate additional metrics
+    { $project: {
+        _id: 0,
+        station: "$_id",
+        totalReviews: 1,
+        averageRating: { $round: ["$averageRating", 1] },
+        latestReview: 1,
+        oldestReview: 1,
+        // Calculate days between first and last review
+        daysActive: {
+          $round: [{
+            $divide: [
+              { $subtract: ["$latestReview", "$oldestReview"] },
+              (1000 * 60 * 60 * 24) // Convert milliseconds to days
+            ]
+          }, 0]
+        },
+        // Count distinct food items
+        foodItemCount: { $size: "$distinctFoodItems" },
+        photoCount: 1
+      }
+    },
+    // Sort by total reviews descending
+    { $sort: { totalReviews: -1 } }
+  ];
+}
+
+/**
+ * Star distribution overall, per station and per month in one pass.
+ * @param {Object} match - Which reviews to include
+ * @returns {Array<Object>} Pipeline producing one { overall, byStation, byMonth } document
+ */
+export function ratingDistributionPipeline(match = ACTIVE_REVIEWS) {
+  return [
+    { $match: match },
+    // Use $facet to perform multiple aggregations in a single pipeline
+    { $facet: {
+        "overall": ratingCountStages(),
+        // Station distribution - separate facet avoids re-reading documents
+        "byStation": [
+          { $group: {
+              _id: { station: "$station", rating: "$rating" },
+              count: { $sum: 1 }
+            }
+          },
+          // Restructure data for easier analysis
+          { $group: {
+              _id: "$_id.station",
+              ratings: {
+                $push: {
+                  rating: "$_id.rating",
+                  count: "$count"
+                }
+              },
+              totalCount: { $sum: "$count" }
+            }
+          },
+          { $sort: { totalCount: -1 } }
+        ],
+        // Period distribution (by month)
+        "byMonth": [
+          {
+            $group: {
+              _id: {
+                year: { $year: "$createdAt" },
+                month: { $month: "$createdAt" },
+                rating: "$rating"
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { "_id.year": 1, "_id.month": 1, "_id.rating": 1 } }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Daily trend for reviews written since a date.
+ * @param {Date} since - Earliest review to include
+ * @param {Object} match - Which reviews to include
+ * @returns {Array<Object>} Pipeline producing one document per day
+ */
+export function recentReviewsPipeline(since, match = ACTIVE_REVIEWS) {
+  return [
+    // Early filtering - only recent reviews
+    { $match: { ...match, createdAt: { $gte: since } } },
+    ...dailyTrendStages()
+  ];
+}
+
+/**
+ * Everything the food page charts for one dish: totals, the star
+ * distribution and the daily trend since a date.
+ * @param {Object} match - The dish's reviews
+ * @param {Date} since - Start of the trend
+ * @returns {Array<Object>} Pipeline producing one { summary, distribution, trend } document
+ */
+export function dishStatsPipeline(match, since) {
+  return [
+    { $match: match },
+    { $facet: {
+        summary: [
+          { $group: { _id: null, avgRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } }
+        ],
+        distribution: ratingCountStages(),
+        trend: [
+          { $match: { createdAt: { $gte: since } } },
+          ...dailyTrendStages()
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Everything the station page shows: its totals, every dish's average and
+ * the weekly trend since a date.
+ * @param {string} station - Station name as stored on reviews
+ * @param {Date} since - Start of the trend
+ * @returns {Array<Object>} Pipeline producing one { summary, dishes, trend } document
+ */
+export function stationStatsPipeline(station, since) {
+  return [
+    { $match: { ...ACTIVE_REVIEWS, station } },
+    { $facet: {
+        summary: stationAnalyticsStages(),
+        dishes: [
+          { $group: {
+              _id: "$foodItem",
+              avgRating: { $avg: "$rating" },
+              reviewCount: { $sum: 1 }
+            }
+          },
+          { $project: {
+              _id: 0,
+              foodItem: "$_id",
+              avgRating: { $round: ["$avgRating", 1] },
+              reviewCount: 1
+            }
+          }
+        ],
+        trend: [
+          { $match: { createdAt: { $gte: since } } },
+          ...weeklyTrendStages()
+        ]
+      }
+    }
+  ];
+}
+
+// Fills in zero counts so charts always get all five star values, 5 first
+export function toHistogram(ratingCounts) {
+  const counts = new Map(ratingCounts.map(({ _id, count }) => [_id, count]));
+  return [5, 4, 3, 2, 1].map(rating => ({ rating, count: counts.get(rating) || 0 }));
+}
@@ -0,0 +1,32 @@
+// Append-only record of privileged actions: who did what to which document,
+// and why. Entries are never updated or deleted by the app.
+
+/**
+ * Records one privileged action in the auditLog collection.
+ * @param {Db} db - Database handle
+ * @param {Object} entry
+ * @param {Object} entry.actor - The signed-in user or API key that acted, or a
+ *   script's stand-in with a null _id
+ * @param {string} entry.action - What happened, e.g. "review.hide"
+ * @param {string} entry.targetType - Kind of document acted on, e.g. "review"
+ * @param {ObjectId|null} entry.targetId - The document acted on, or null for bulk actions
+ * @param {string} [entry.reason] - Why, as given by the actor
+ * @param {Object} [entry.details] - Anything else worth keeping, e.g. the previous state
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function recordAudit(db, { actor, action, targetType, targetId, reason = null, details = null }) {
+  const entry = {
+    action,
+    actorId: actor._id,
+    actorName: actor.displayName,
+    actorRole: actor.role,
+    targetType,
+    targetId,
+    reason,
+    details,
+    createdAt: new Date()
+  };
+
+  const result = await db.collection('auditLog').insertOne(entry);
+  return { ...entry, _id: result.insertedId };
+}
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'rl_session';
+
+// Every account starts as a student. Moderators can hide and restore
+// reviews; admins can do that plus manage menus and the food catalog.
+export const ROLES = ['student', 'moderator', 'admin'];
+const MODERATOR_ROLES = ['moderator', 'admin'];
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // Sessions last 30 days
+const KEY_LENGTH = 64;
+
+// Comma-separated list of email domains allowed to sign up.
+// Set ALLOWED_EMAIL_DOMAINS to "*" to allow any domain.
+const allowedDomains = (process.env.ALLOWED_EMAIL_DOMAINS || 'wooster.edu')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+export function isAllowedEmail(email) {
+  if (allowedDomains.includes('*')) return true;
+  const domain = email.split('@')[1];
+  return Boolean(domain) && allowedDomains.includes(domain.toLowerCase());
+}
+
+export function getAllowedDomains() {
+  return allowedDomains;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Only the SHA-256 of a session token is stored, so a leaked
+// sessions collection can't be used to impersonate anyone
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function serializeCookie(value, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+// Strip private fields before sending a user to the client
+export function publicUser(user) {
+  if (!user) return null;
+  return {
+    _id: user._id,
+    email: user.email,
+    displayName: user.displayName,
+    role: user.role
+  };
+}
+
+// Stores a new session and returns its token. Scripts that drive the API
+// as a student (like the load test) send it as the session cookie.
+export async function issueSessionToken(db, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await db.collection('sessions').insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL)
+  });
+
+  return token;
+}
+
+export async function createSession(db, userId, res) {
+  const token = await issueSessionToken(db, userId);
+  res.setHeader('Set-Cookie', serializeCookie(token, SESSION_TTL / 1000));
+}
+
+export async function destroySession(db, req, res) {
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (token) {
+    await db.collection('sessions').deleteOne({ tokenHash: hashToken(token) });
+  }
+  res.setHeader('Set-Cookie', serializeCookie('', 0));
+}
+
+// Returns the signed-in user for this request, or null
+export async function getSessionUser(db, req) {
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (!token) return null;
+
+  const session = await db.collection('sessions').findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
+
+  return db.collection('users').findOne({ _id: session.userId });
+}
+
+export const API_KEY_PREFIX = 'rlk_';
+const CONFIRMATION_TTL = 5 * 60 * 1000; // Confirmation tokens last 5 minutes
+
+// API keys let scripts and other services call admin and moderator routes
+// without a browser session. Keys are stored hashed, like session tokens,
+// and carry a role of their own rather than belonging to a user.
+export async function createApiKey(db, { name, role = 'admin', createdBy = null }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const result = await db.collection('apiKeys').insertOne({
+    keyHash: hashToken(key),
+    name,
+    role,
+    createdBy,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+
+  // The key itself is only ever shown here
+  return { _id: result.insertedId, key };
+}
+
+// Returns the caller behind an "Authorization: Bearer rlk_..." header, shaped
+// like a user so guards and the audit log can treat both the same, or null
+async function getApiKeyUser(db, req) {
+  const header = req.headers?.authorization || '';
+  const [scheme, key] = header.split(' ');
+  if (scheme !== 'Bearer' || !key || !key.startsWith(API_KEY_PREFIX)) return null;
+
+  const apiKey = await db.collection('apiKeys').findOneAndUpdate(
+    { keyHash: hashToken(key), revokedAt: null },
+    { $set: { lastUsedAt: new Date() } },
+    { projection: { keyHash: 0 } }
+  );
+  if (!apiKey) return null;
+
+  return {
+    _id: apiKey._id,
+    displayName: `API key "${apiKey.name}"`,
+    role: apiKey.role,
+    isApiKey: true
+  };
+}
+
+// Staff routes accept either a signed-in user or an API key
+async function getStaffUser(db, req) {
+  return (await getApiKeyUser(db, req)) || getSessionUser(db, req);
+}
+
+// Responds with 401 and returns null when nobody is signed in
+export async function requireUser(db, req, res) {
+  const user = await getSessionUser(db, req);
+  if (!user) {
+    res.status(401).json({ error: 'You must be signed in to do that' });
+    return null;
+  }
+  return user;
+}
+
+async function requireStaffUser(db, req, res) {
+  const user = await getStaffUser(db, req);
+  if (!user) {
+    res.status(401).json({ error: 'You must be signed in or use an API key to do that' });
+    return null;
+  }
+  return user;
+}
+
+export function isModerator(user) {
+  return Boolean(user) && MODERATOR_ROLES.includes(user.role);
+}
+
+// Responds with 401/403 and returns null unless a moderator or admin is signed in
+export async function requireModerator(db, req, res) {
+  const user = await requireStaffUser(db, req, res);
+  if (!user) return null;
+  if (!isModerator(user)) {
+    res.status(403).json({ error: 'Moderator access required' });
+    return null;
+  }
+  return user;
+}
+
+// Responds with 401/403 and returns null unless an admin is signed in
+export async function requireAdmin(db, req, res) {
+  const user = await requireStaffUser(db, req, res);
+  if (!user) return null;
+  if (user.role !== 'admin') {
+    res.status(403).json({ error: 'Admin access required' });
+    return null;
+  }
+  return user;
+}
+
+// Destructive actions take two requests: the first issues a short-lived
+// token tied to the admin and the action, the second must send it back.
+// Guards against a stray request (or a replayed one) wiping data.
+export async function issueConfirmation(db, user, action) {
+  const token = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL);
+
+  await db.collection('confirmations').insertOne({
+    tokenHash: hashToken(token),
+    action,
+    userId: user._id,
+    createdAt: new Date(),
+    expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+// Uses up a confirmation token. Returns false if it is unknown, expired,
+// already used, or was issued to someone else or for another action.
+export async function consumeConfirmation(db, user, action, token) {
+  if (typeof token !== 'string' || !token) return false;
+
+  const confirmation = await db.collection('confirmations').findOneAndDelete({
+    tokenHash: hashToken(token),
+    action,
+    userId: user._id,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(confirmation);
+}
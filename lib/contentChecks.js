@@ -0,0 +1,135 @@
+// Checks run on review comments before they are saved. Each check gets the
+// comment (as left by the checks before it) and may return a cleaned-up
+// comment, a reason to hold the review for a moderator, or both:
+//   { comment?: string, reason?: string }
+// Add a check by appending to CONTENT_CHECKS; order matters, since later
+// checks see the masked text. The comment as submitted is in
+// context.original for checks that the masking would confuse.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A short default list; BLOCKED_WORDS (comma-separated) replaces it. Words
+// match whole, so each variant is listed; "shitake" is left alone.
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck', 'fucks', 'fucked', 'fucker', 'fucking', 'fuckin',
+  'shit', 'shits', 'shitty', 'bullshit',
+  'bitch', 'bitches',
+  'asshole', 'assholes',
+  'bastard', 'bastards',
+  'cunt', 'cunts'
+];
+
+const blockedWords = (process.env.BLOCKED_WORDS
+  ? process.env.BLOCKED_WORDS.split(',')
+  : DEFAULT_BLOCKED_WORDS)
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// Matches blocked words whole, ignoring case
+const blockedPattern = blockedWords.length > 0
+  ? new RegExp(`\\b(?:${blockedWords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'gi')
+  : null;
+
+// Reviews with more masked words than this are held rather than just masked
+export const MAX_MASKED_WORDS = 2;
+
+// Same character this many times in a row, e.g. "sooooooo good!!!!!!"
+export const MAX_REPEATED_CHARACTERS = 6;
+
+// Comments shorter than this many words ("Good", "Pretty tasty") are too
+// common to treat as copy-pasted when a student repeats one
+export const MIN_DUPLICATE_WORDS = 4;
+
+// Plain http(s) links and www. addresses
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/i;
+
+// Bare domains like "cheapmeals.biz": lowercase, and a word of their own, so
+// a missing space in "best soup ever.Me and my friends" isn't taken for one
+const BARE_DOMAIN_PATTERN = /(?:^|[\s(])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|biz|info|io|co|ly|xyz|ru|gg|me|app)(?=$|[\s/:?#).,!])/;
+
+function maskWord(word) {
+  return word[0] + '*'.repeat(word.length - 1);
+}
+
+// Comments are compared ignoring case, punctuation and spacing
+export function normalizeComment(comment) {
+  return comment.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function wordListCheck(comment) {
+  if (!blockedPattern) return {};
+
+  let masked = 0;
+  const cleaned = comment.replace(blockedPattern, word => {
+    masked++;
+    return maskWord(word);
+  });
+
+  if (masked === 0) return {};
+  return {
+    comment: cleaned,
+    reason: masked > MAX_MASKED_WORDS ? `Contains ${masked} blocked words` : undefined
+  };
+}
+
+function linkCheck(comment) {
+  return LINK_PATTERN.test(comment) || BARE_DOMAIN_PATTERN.test(comment) ? { reason: 'Contains a link' } : {};
+}
+
+// Looks at the comment as submitted, since masking turns any long blocked
+// word into a run of *s
+function repeatedCharacterCheck(comment, { original = comment } = {}) {
+  const pattern = new RegExp(`(.)\\1{${MAX_REPEATED_CHARACTERS - 1},}`);
+  return pattern.test(original) ? { reason: 'Contains long runs of repeated characters' } : {};
+}
+
+// The same comment posted by the same student more than once in a day,
+// on any dish, is most likely copy-pasted spam, unless it's only a word or two
+async function duplicateCommentCheck(comment, { db, userId, reviewId = null }) {
+  const normalized = normalizeComment(comment);
+  if (!db || !userId || normalized.split(' ').length < MIN_DUPLICATE_WORDS) return {};
+
+  const query = { userId, createdAt: { $gte: new Date(Date.now() - DAY_MS) } };
+  if (reviewId) query._id = { $ne: reviewId };
+
+  const recent = await db.collection('reviews')
+    .find(query)
+    .project({ comment: 1 })
+    .toArray();
+
+  const isDuplicate = recent.some(review => (
+    typeof review.comment === 'string' && normalizeComment(review.comment) === normalized
+  ));
+  return isDuplicate ? { reason: 'Repeats a comment posted in the last day' } : {};
+}
+
+export const CONTENT_CHECKS = [
+  { name: 'wordList', run: wordListCheck },
+  { name: 'link', run: linkCheck },
+  { name: 'repeatedCharacters', run: repeatedCharacterCheck },
+  { name: 'duplicate', run: duplicateCommentCheck }
+];
+
+/**
+ * Runs a comment through every content check.
+ * @param {string} comment - The comment as submitted
+ * @param {Object} context - Passed to each check
+ * @param {Db} context.db - Database handle, for checks that look at earlier reviews
+ * @param {ObjectId} context.userId - The author
+ * @param {ObjectId} [context.reviewId] - The review being edited, if any
+ * @param {Array<Object>} [checks] - Defaults to CONTENT_CHECKS
+ * @returns {Promise<{ comment: string, flags: Array<{ check: string, reason: string }>, needsReview: boolean }>}
+ */
+export async function runContentChecks(comment, context, checks = CONTENT_CHECKS) {
+  let current = comment;
+  const flags = [];
+  const checkContext = { ...context, original: comment };
+
+  for (const { name, run } of checks) {
+    const result = await run(current, checkContext);
+    if (result.comment !== undefined) current = result.comment;
+    if (result.reason) flags.push({ check: name, reason: result.reason });
+  }
+
+  return { comment: current, flags, needsReview: flags.length > 0 };
+}
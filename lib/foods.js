@@ -0,0 +1,288 @@
+// Canonical food catalog. Reviews used to group on whatever was typed into
+// the form, so "Chicken Tenders" and "chicken tender" split a dish's ratings.
+// Each food now has one canonical name and slug, and every spelling seen for
+// it is kept as a normalized match key. No server-only imports, so the
+// normalization helpers can also be used in the browser and in scripts.
+
+// Creating a food retries with a fresh slug when a racing request takes it
+const MAX_SLUG_ATTEMPTS = 3;
+
+// Naive English singular form, good enough for dish names. Words ending in
+// "us" (hummus, couscous, asparagus) or "ss" aren't plurals.
+export function singularize(word) {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+// Collapses the ways people type the same dish to one comparable key
+export function normalizeFoodName(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+// Tidies whitespace while keeping the author's capitalization
+export function cleanFoodName(name) {
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+export function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Finds a food by slug, a slug it had before a merge, or any known spelling
+export async function findFood(db, key, station) {
+  const foods = db.collection('foods');
+
+  const bySlug = await foods.findOne({ $or: [{ slug: key }, { previousSlugs: key }] });
+  if (bySlug) return bySlug;
+
+  const query = { matchKeys: normalizeFoodName(key) };
+  if (station) query.station = station;
+  return foods.findOne(query);
+}
+
+function slugTaken(foods, slug) {
+  return foods.findOne({ $or: [{ slug }, { previousSlugs: slug }] }, { projection: { _id: 1 } });
+}
+
+// The dish's own slug if it's free. The same dish at two stations gets the
+// station appended, and a number after that if even that is taken.
+async function availableSlug(foods, name, station) {
+  const slug = slugify(name);
+  if (!(await slugTaken(foods, slug))) return slug;
+
+  const withStation = `${slug}-${slugify(station)}`;
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? withStation : `${withStation}-${n}`;
+    if (!(await slugTaken(foods, candidate))) return candidate;
+  }
+}
+
+/**
+ * Returns the catalog entry for a dish at a station, creating it the first
+ * time the dish is seen.
+ * @param {Db} db - MongoDB database
+ * @param {string} name - Food name as typed by the user
+ * @param {string} station - Station name
+ * @returns {Promise<Object>} - The canonical food document
+ */
+export async function resolveFood(db, name, station) {
+  const foods = db.collection('foods');
+  const matchKey = normalizeFoodName(name);
+
+  const existing = await foods.findOne({ station, matchKeys: matchKey });
+  if (existing) return existing;
+
+  const canonicalName = cleanFoodName(name);
+
+  for (let attempt = 0; attempt < MAX_SLUG_ATTEMPTS; attempt++) {
+    const newFood = {
+      name: canonicalName,
+      slug: await availableSlug(foods, canonicalName, station),
+      station,
+      aliases: [],
+      matchKeys: [matchKey],
+      createdAt: new Date()
+    };
+
+    try {
+      const result = await foods.insertOne(newFood);
+      return { ...newFood, _id: result.insertedId };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another request created the same food first, or took the slug, in
+      // which case the next free one is tried
+      const created = await foods.findOne({ station, matchKeys: matchKey });
+      if (created) return created;
+    }
+  }
+
+  throw new Error(`No free slug for ${canonicalName} at ${station}`);
+}
+
+/**
+ * Which of the reviews being moved to a food would break the one review
+ * per student per dish per meal rule: those for a meal the student already
+ * reviewed the food at, and all but the first of several moved reviews
+ * for the same meal.
+ * @param {Db} db - MongoDB database
+ * @param {ObjectId} foodId - The food the reviews are moving to
+ * @param {Array<Object>} reviews - With _id, userId, mealDate and mealPeriod
+ * @returns {Promise<Array<ObjectId>>} Ids of the reviews that clash
+ */
+export async function mealClashes(db, foodId, reviews) {
+  const mealKey = review => `${review.userId}|${review.mealDate}|${review.mealPeriod}`;
+  const indexed = reviews.filter(review => review.userId && review.mealPeriod !== undefined);
+  if (indexed.length === 0) return [];
+
+  const existing = await db.collection('reviews')
+    .find({
+      foodId,
+      userId: { $in: indexed.map(review => review.userId) },
+      mealPeriod: { $exists: true },
+      _id: { $nin: indexed.map(review => review._id) }
+    })
+    .project({ userId: 1, mealDate: 1, mealPeriod: 1 })
+    .toArray();
+
+  const taken = new Set(existing.map(mealKey));
+  const clashes = [];
+  indexed.forEach(review => {
+    const key = mealKey(review);
+    if (taken.has(key)) {
+      clashes.push(review._id);
+    } else {
+      taken.add(key);
+    }
+  });
+  return clashes;
+}
+
+/**
+ * Merges duplicate foods into a target. Reviews and menus pointing at the
+ * sources are re-pointed at the target, and the sources' names, spellings
+ * and slugs are kept on the target so old links and typing still resolve.
+ * @param {Db} db - MongoDB database
+ * @param {Object} target - Food document to keep
+ * @param {Array<Object>} sources - Food documents to merge away
+ * @returns {Promise<{ reviewsUpdated: number, menusUpdated: number }>}
+ */
+export async function mergeFoods(db, target, sources) {
+  const sourceIds = sources.map(source => source._id);
+  const sourceNames = sources.map(source => source.name);
+
+  const moved = await db.collection('reviews')
+    .find({
+      station: target.station,
+      $or: [{ foodId: { $in: sourceIds } }, { foodItem: { $in: sourceNames } }]
+    })
+    .project({ userId: 1, mealDate: 1, mealPeriod: 1 })
+    .toArray();
+  const clashIds = await mealClashes(db, target._id, moved);
+  const clashing = new Set(clashIds.map(String));
+  const keptIds = moved.filter(review => !clashing.has(String(review._id))).map(review => review._id);
+
+  // A student who reviewed both dishes at one meal keeps both reviews, but
+  // the moved one is left out of the one-review-per-meal index
+  let reviewsUpdated = 0;
+  if (moved.length > 0) {
+    const reviewResult = await db.collection('reviews').bulkWrite([
+      {
+        updateMany: {
+          filter: { _id: { $in: clashIds } },
+          update: { $set: { foodId: target._id, foodItem: target.name }, $unset: { mealDate: '', mealPeriod: '' } }
+        }
+      },
+      {
+        updateMany: {
+          filter: { _id: { $in: keptIds } },
+          update: { $set: { foodId: target._id, foodItem: target.name } }
+        }
+      }
+    ]);
+    reviewsUpdated = reviewResult.modifiedCount;
+  }
+
+  let menusUpdated = 0;
+  for (const source of sources) {
+    const menuResult = await db.collection('menus').updateMany(
+      { station: target.station, items: source.name },
+      { $set: { 'items.$[item]': target.name } },
+      { arrayFilters: [{ item: source.name }] }
+    );
+    menusUpdated += menuResult.modifiedCount;
+  }
+
+  // Remove the sources first so their match keys don't collide with the
+  // target's unique index when they are added to it
+  await db.collection('foods').deleteMany({ _id: { $in: sourceIds } });
+
+  await db.collection('foods').updateOne(
+    { _id: target._id },
+    {
+      $addToSet: {
+        aliases: { $each: sources.flatMap(source => [source.name, ...(source.aliases || [])]) },
+        matchKeys: { $each: sources.flatMap(source => source.matchKeys || []) },
+        previousSlugs: { $each: sources.flatMap(source => [source.slug, ...(source.previousSlugs || [])]) }
+      },
+      $set: { updatedAt: new Date() }
+    }
+  );
+
+  return { reviewsUpdated, menusUpdated };
+}
+
+// Link to a dish's page. Dishes missing from the catalog link by name.
+export function foodPath(foodItem, station, slug) {
+  return slug
+    ? `/food/${slug}`
+    : `/food/${encodeURIComponent(foodItem)}?station=${encodeURIComponent(station)}`;
+}
+
+// Edit distance between two strings, counting a swap of neighbouring
+// letters as one edit since that's the most common typo
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Scores how well a typed query matches a food, checking its name and
+ * every alias. Prefix matches rank above word matches, which rank above
+ * typo-tolerant matches. Returns 0 when it doesn't match at all.
+ * @param {string} query - What the user has typed so far
+ * @param {Object} food - Food document with name and aliases
+ * @returns {number} - Higher is better
+ */
+export function scoreFoodMatch(query, food) {
+  const normalizedQuery = normalizeFoodName(query);
+  if (!normalizedQuery) return 0;
+
+  // Allow one typo per four characters typed
+  const maxDistance = Math.floor(normalizedQuery.length / 4);
+
+  return Math.max(...[food.name, ...(food.aliases || [])].map(name => {
+    const candidate = normalizeFoodName(name);
+    if (candidate === normalizedQuery) return 100;
+    if (candidate.startsWith(normalizedQuery)) return 80;
+    if (candidate.split(' ').some(word => word.startsWith(normalizedQuery))) return 60;
+    if (candidate.includes(normalizedQuery)) return 40;
+
+    if (maxDistance > 0) {
+      // Compare against the start of the name so partial input still matches.
+      // A missed or extra letter shifts the rest of the query, so try starts
+      // a few letters shorter and longer than what was typed.
+      let distance = Infinity;
+      for (let length = normalizedQuery.length - maxDistance; length <= normalizedQuery.length + maxDistance; length++) {
+        if (length < 1 || length > candidate.length) continue;
+        distance = Math.min(distance, editDistance(normalizedQuery, candidate.slice(0, length)));
+      }
+      if (distance <= maxDistance) return 30 - distance * 5;
+    }
+    return 0;
+  }));
+}
@@ -0,0 +1,374 @@
+// Parsing and planning for menu imports from dining services' CSV and
+// iCalendar exports. Used by both scripts/import-menu.js and the
+// /api/menus/import route, so it only imports other plain modules.
+import { MEAL_PERIODS, campusHour, isDateKey, mealPeriodForHour, toDateKey } from './menus.js';
+import { FIELDS } from './schemas.js';
+import { cleanFoodName } from './foods.js';
+
+// The menus collection validator rejects longer dishes and longer menus,
+// and one rejected menu would fail the whole bulk write
+const { maxLength: MAX_ITEM_LENGTH } = FIELDS.menuItems.items;
+const { maxItems: MAX_ITEMS } = FIELDS.menuItems;
+
+// Dishes on one menu are told apart ignoring case and spacing, so an import
+// spelling "pasta" doesn't add a second Pasta
+function itemKey(item) {
+  return cleanFoodName(item).toLowerCase();
+}
+
+function menuKey({ date, mealPeriod, station }) {
+  return `${date}|${mealPeriod}|${station}`;
+}
+
+const CSV_COLUMNS = {
+  date: ['date', 'day'],
+  mealPeriod: ['meal', 'meal period', 'mealperiod', 'meal_period', 'period'],
+  station: ['station', 'location'],
+  item: ['item', 'items', 'food', 'food item', 'fooditem', 'dish']
+};
+
+// Split CSV text into rows of cells, handling quoted cells with commas,
+// escaped quotes ("") and line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Accepts "2025-04-25" as well as the US-style "4/25/2025" spreadsheets export
+function normalizeDate(value) {
+  const trimmed = value.trim();
+  const us = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const key = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : trimmed;
+  return isDateKey(key) ? key : null;
+}
+
+function normalizeMealPeriod(value) {
+  const period = value.trim().toLowerCase();
+  return MEAL_PERIODS.includes(period) ? period : null;
+}
+
+/**
+ * Parses a CSV menu with a header row naming date, meal, station and item
+ * columns. An item cell may list several dishes separated by semicolons.
+ * @param {string} text - CSV file contents
+ * @returns {{ rows: Array, errors: Array }} - One row per dish, plus per-line errors
+ */
+export function parseMenuCsv(text) {
+  const [header = [], ...lines] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const headerNames = header.map(name => name.trim().toLowerCase());
+
+  const columnIndex = {};
+  const errors = [];
+  Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+    columnIndex[field] = headerNames.findIndex(name => aliases.includes(name));
+    if (columnIndex[field] === -1) {
+      errors.push({ line: 1, message: `Missing "${aliases[0]}" column` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { rows: [], errors };
+  }
+
+  const rows = [];
+  lines.forEach((cells, index) => {
+    const line = index + 2; // 1-based, after the header
+    if (cells.every(cell => !cell.trim())) return;
+
+    const date = normalizeDate(cells[columnIndex.date] || '');
+    const mealPeriod = normalizeMealPeriod(cells[columnIndex.mealPeriod] || '');
+    const station = (cells[columnIndex.station] || '').trim();
+    const items = (cells[columnIndex.item] || '').split(';').map(item => item.trim()).filter(Boolean);
+
+    if (!date) {
+      errors.push({ line, message: `Invalid date "${cells[columnIndex.date] || ''}"` });
+    } else if (!mealPeriod) {
+      errors.push({ line, message: `Meal must be one of: ${MEAL_PERIODS.join(', ')}` });
+    } else if (!station) {
+      errors.push({ line, message: 'Missing station' });
+    } else if (items.length === 0) {
+      errors.push({ line, message: 'Missing food item' });
+    } else {
+      items.forEach(item => rows.push({ line, date, mealPeriod, station, item }));
+    }
+  });
+
+  return { rows, errors };
+}
+
+function unescapeIcsText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// Returns { date, hour } in campus time for a DTSTART value
+function parseIcsDate(value, isUtc) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match;
+
+  // All-day events carry no time, so the meal must come from CATEGORIES
+  if (hour === undefined) {
+    return { date: `${year}-${month}-${day}`, hour: null };
+  }
+
+  if (isUtc) {
+    const instant = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    return { date: toDateKey(instant), hour: campusHour(instant) };
+  }
+
+  // Floating and TZID times are taken to already be campus-local
+  return { date: `${year}-${month}-${day}`, hour: Number(hour) + Number(minute) / 60 };
+}
+
+/**
+ * Parses an iCalendar menu where each VEVENT is one dish: SUMMARY is the
+ * dish, LOCATION the station and DTSTART when it is served. The meal comes
+ * from CATEGORIES when present, otherwise from the start time.
+ * @param {string} text - .ics file contents
+ * @returns {{ rows: Array, errors: Array }} - One row per dish, plus per-event errors
+ */
+export function parseMenuIcs(text) {
+  // Unfold continuation lines (RFC 5545 section 3.1), remembering where
+  // each logical line started so errors point at the right place
+  const lines = [];
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (/^[ \t]/.test(rawLine) && lines.length > 0) {
+      lines[lines.length - 1].text += rawLine.slice(1);
+    } else {
+      lines.push({ line: index + 1, text: rawLine });
+    }
+  });
+
+  const rows = [];
+  const errors = [];
+  let event = null;
+
+  lines.forEach(({ line, text: rawLine }) => {
+    if (rawLine === 'BEGIN:VEVENT') {
+      event = { line };
+      return;
+    }
+    if (rawLine === 'END:VEVENT' && event) {
+      const start = event.dtstart ? parseIcsDate(event.dtstart.value, event.dtstart.value.endsWith('Z')) : null;
+      const category = event.categories ? normalizeMealPeriod(event.categories.split(',')[0]) : null;
+      const mealPeriod = category || (start && start.hour !== null ? mealPeriodForHour(start.hour) : null);
+
+      if (!start || !isDateKey(start.date)) {
+        errors.push({ line: event.line, message: 'Event is missing a valid DTSTART' });
+      } else if (!mealPeriod) {
+        errors.push({ line: event.line, message: 'All-day event needs a meal in CATEGORIES' });
+      } else if (!event.location) {
+        errors.push({ line: event.line, message: 'Event is missing a LOCATION (station)' });
+      } else if (!event.summary) {
+        errors.push({ line: event.line, message: 'Event is missing a SUMMARY (food item)' });
+      } else {
+        rows.push({ line: event.line, date: start.date, mealPeriod, station: event.location, item: event.summary });
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = rawLine.indexOf(':');
+    if (separator === -1) return;
+    const [name, ...params] = rawLine.slice(0, separator).split(';');
+    const value = rawLine.slice(separator + 1);
+
+    switch (name.toUpperCase()) {
+      case 'DTSTART':
+        event.dtstart = { value, params };
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeIcsText(value);
+        break;
+      case 'LOCATION':
+        event.location = unescapeIcsText(value);
+        break;
+      case 'CATEGORIES':
+        event.categories = unescapeIcsText(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { rows, errors };
+}
+
+// Picks the parser from the file name, falling back to sniffing the contents
+export function parseMenuFile(filename, text) {
+  const isIcs = /\.ics$/i.test(filename || '') || text.trimStart().startsWith('BEGIN:VCALENDAR');
+  return isIcs ? parseMenuIcs(text) : parseMenuCsv(text);
+}
+
+/**
+ * Groups parsed rows into menu entries and checks them against the known
+ * stations. Nothing is written; the result doubles as the dry-run report.
+ * @param {Array} rows - Rows from parseMenuCsv/parseMenuIcs
+ * @param {Array<string>} stationNames - Names from the stations collection
+ * @returns {Object} - { entries, unknownStations, duplicates, errors }
+ */
+export function planMenuImport(rows, stationNames) {
+  const stationsByKey = new Map(stationNames.map(name => [name.toLowerCase(), name]));
+  const entriesByKey = new Map();
+  const unknownStations = new Map();
+  const seenItems = new Map();
+  const duplicates = [];
+  const errors = [];
+
+  rows.forEach(({ item: rawItem, ...rest }) => {
+    const row = { ...rest, item: cleanFoodName(rawItem) };
+    if (row.item.length > MAX_ITEM_LENGTH) {
+      errors.push({ line: row.line, message: `"${row.item.slice(0, 40)}..." is longer than ${MAX_ITEM_LENGTH} characters` });
+      return;
+    }
+
+    const station = stationsByKey.get(row.station.toLowerCase());
+    if (!station) {
+      const lines = unknownStations.get(row.station) || [];
+      unknownStations.set(row.station, [...lines, row.line]);
+      return;
+    }
+
+    const entryKey = menuKey({ ...row, station });
+    const seenKey = `${entryKey}|${itemKey(row.item)}`;
+    if (seenItems.has(seenKey)) {
+      duplicates.push({ ...row, station, firstLine: seenItems.get(seenKey) });
+      return;
+    }
+    seenItems.set(seenKey, row.line);
+
+    if (!entriesByKey.has(entryKey)) {
+      entriesByKey.set(entryKey, { line: row.line, date: row.date, mealPeriod: row.mealPeriod, station, items: [] });
+    }
+    const entry = entriesByKey.get(entryKey);
+    if (entry.items.length >= MAX_ITEMS) {
+      errors.push({ line: row.line, message: `The ${row.mealPeriod} menu at ${station} on ${row.date} already has ${MAX_ITEMS} dishes` });
+      return;
+    }
+    entry.items.push(row.item);
+  });
+
+  return {
+    entries: [...entriesByKey.values()],
+    unknownStations: [...unknownStations.entries()].map(([station, lines]) => ({ station, lines })),
+    duplicates,
+    errors
+  };
+}
+
+/**
+ * Checks a plan against the menus already stored, so a dry run reports what
+ * the import would really do. Unless replacing, dishes a menu already has
+ * (in any capitalization) are dropped, and a menu that would end up with
+ * more than MAX_ITEMS dishes is left out and reported in errors, since the
+ * validator would fail the whole bulk write over it.
+ * @param {Db} db - Database handle
+ * @param {Object} plan - From planMenuImport
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - The import overwrites existing menus
+ * @returns {Promise<Object>} - The plan with entries and errors updated
+ */
+export async function checkExistingMenus(db, plan, { replace = false } = {}) {
+  if (replace || plan.entries.length === 0) return plan;
+
+  const existing = await db.collection('menus')
+    .find({ $or: plan.entries.map(({ date, mealPeriod, station }) => ({ date, mealPeriod, station })) })
+    .project({ date: 1, mealPeriod: 1, station: 1, items: 1 })
+    .toArray();
+  const itemsByMenu = new Map(existing.map(menu => [menuKey(menu), menu.items || []]));
+
+  const entries = [];
+  const errors = [...plan.errors];
+  plan.entries.forEach(entry => {
+    const current = itemsByMenu.get(menuKey(entry)) || [];
+    const stored = new Set(current.map(itemKey));
+    const items = entry.items.filter(item => !stored.has(itemKey(item)));
+
+    if (current.length + items.length > MAX_ITEMS) {
+      errors.push({
+        line: entry.line,
+        message: `The ${entry.mealPeriod} menu at ${entry.station} on ${entry.date} has ${current.length} dishes; adding ${items.length} more would pass ${MAX_ITEMS}`
+      });
+      return;
+    }
+    if (items.length > 0) {
+      entries.push({ ...entry, items });
+    }
+  });
+
+  return { ...plan, entries, errors };
+}
+
+/**
+ * Writes planned entries to the menus collection in one bulk write.
+ * By default dishes are added to any existing menu; with replace the
+ * imported list overwrites it.
+ * @returns {Promise<{ created: number, updated: number }>}
+ */
+export async function applyMenuImport(db, entries, { replace = false, importedBy = null } = {}) {
+  if (entries.length === 0) {
+    return { created: 0, updated: 0 };
+  }
+
+  const now = new Date();
+  // Without replace, run the plan through checkExistingMenus first
+  const operations = entries.map(({ date, mealPeriod, station, items }) => ({
+    updateOne: {
+      filter: { date, mealPeriod, station },
+      update: {
+        ...(replace ? { $set: { items, updatedAt: now, updatedBy: importedBy } } : {
+          $addToSet: { items: { $each: items } },
+          $set: { updatedAt: now, updatedBy: importedBy }
+        }),
+        $setOnInsert: { createdAt: now, createdBy: importedBy }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await db.collection('menus').bulkWrite(operations, { ordered: false });
+
+  return { created: result.upsertedCount, updated: result.modifiedCount };
+}
@@ -0,0 +1,62 @@
+// Shared helpers for the daily menu. Kept free of server-only imports so
+// pages, API routes and scripts can all use them.
+
+export const MEAL_PERIODS = ['breakfast', 'lunch', 'dinner'];
+
+// Serving hours in campus local time, [start, end) in 24h hours
+export const MEAL_HOURS = {
+  breakfast: [7, 10.5],
+  lunch: [10.5, 14.5],
+  dinner: [16.5, 20]
+};
+
+// Lowry runs on Ohio time regardless of where the server is deployed
+export const CAMPUS_TIMEZONE = process.env.CAMPUS_TIMEZONE || 'America/New_York';
+
+function campusParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: CAMPUS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+}
+
+// Menus are keyed by campus-local calendar date, e.g. "2025-04-25"
+export function toDateKey(date = new Date()) {
+  const { year, month, day } = campusParts(date);
+  return `${year}-${month}-${day}`;
+}
+
+export function isDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  // Round-trip through Date to reject impossible dates like 2025-02-30
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+export function isMealPeriod(value) {
+  return MEAL_PERIODS.includes(value);
+}
+
+// Campus-local time of day as a fractional hour, e.g. 12.5 for 12:30
+export function campusHour(date = new Date()) {
+  const { hour, minute } = campusParts(date);
+  return Number(hour) + Number(minute) / 60;
+}
+
+// The meal being served at this hour, or the next one coming up.
+// Late at night this is dinner, since that was the last meal of the day.
+export function mealPeriodForHour(hour) {
+  const current = MEAL_PERIODS.find(period => hour < MEAL_HOURS[period][1]);
+  return current || 'dinner';
+}
+
+export function getMealPeriod(date = new Date()) {
+  return mealPeriodForHour(campusHour(date));
+}
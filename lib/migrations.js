@@ -0,0 +1,86 @@
+import os from 'os';
+
+// Bookkeeping for database migrations. Everything lives in the migrations
+// collection, told apart by kind:
+//   schema  - a numbered file in scripts/migrations, run by scripts/migrate.js
+//   station - a station rename or merge (lib/stationMigrations.js)
+//   lock    - the one document held while migrations run, so two deploys
+//             starting at once can't both change the database
+// A run that dies keeps the lock until lockedUntil, after which the next
+// run takes it over; a live run keeps pushing lockedUntil forward.
+
+export const SCHEMA_MIGRATION_KIND = 'schema';
+const LOCK_ID = 'lock';
+const LOCK_TIME = 2 * 60 * 1000;
+const LOCK_REFRESH = 30 * 1000;
+
+// Who holds the lock, for the "already running" message
+export function lockOwner() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * Takes the migrations lock, or takes over one whose holder stopped renewing it.
+ * @param {Db} db - Database handle
+ * @param {string} owner - From lockOwner()
+ * @returns {Promise<{ acquired: true, tookOverFrom?: string }|{ acquired: false, holder: Object }>}
+ */
+export async function acquireMigrationLock(db, owner) {
+  const migrations = db.collection('migrations');
+  const now = new Date();
+  const lock = { kind: 'lock', owner, lockedAt: now, lockedUntil: new Date(now.getTime() + LOCK_TIME) };
+
+  try {
+    await migrations.insertOne({ _id: LOCK_ID, ...lock });
+    return { acquired: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const stale = await migrations.findOneAndUpdate(
+    { _id: LOCK_ID, lockedUntil: { $lte: now } },
+    { $set: lock }
+  );
+  if (stale) {
+    return { acquired: true, tookOverFrom: stale.owner };
+  }
+
+  const holder = await migrations.findOne({ _id: LOCK_ID });
+  // Released between the insert and the takeover; try once more
+  if (!holder) return acquireMigrationLock(db, owner);
+  return { acquired: false, holder };
+}
+
+export async function releaseMigrationLock(db, owner) {
+  await db.collection('migrations').deleteOne({ _id: LOCK_ID, owner });
+}
+
+// The lock's holder, or null when no migrations are running
+export function findMigrationLock(db) {
+  return db.collection('migrations').findOne({ _id: LOCK_ID, lockedUntil: { $gt: new Date() } });
+}
+
+/**
+ * Runs fn while holding the migrations lock, renewing it until fn finishes.
+ * @param {Db} db - Database handle
+ * @param {Function} fn - Async work to do under the lock
+ * @returns {Promise<{ acquired: boolean, holder?: Object, tookOverFrom?: string, result?: * }>}
+ */
+export async function withMigrationLock(db, fn) {
+  const owner = lockOwner();
+  const lock = await acquireMigrationLock(db, owner);
+  if (!lock.acquired) return lock;
+
+  const refresh = setInterval(() => {
+    db.collection('migrations')
+      .updateOne({ _id: LOCK_ID, owner }, { $set: { lockedUntil: new Date(Date.now() + LOCK_TIME) } })
+      .catch(error => console.error('Error renewing the migrations lock:', error));
+  }, LOCK_REFRESH);
+
+  try {
+    return { ...lock, result: await fn() };
+  } finally {
+    clearInterval(refresh);
+    await releaseMigrationLock(db, owner);
+  }
+}
@@ -0,0 +1,189 @@
+import { recordAudit } from './audit.js';
+
+// Review moderation. A review's moderationStatus is unset until a
+// moderator looks at it, then one of:
+//   pending  - held back by the content checks (lib/contentChecks.js) and
+//              not shown until a moderator approves it; isActive is false
+//   approved - checked and left up
+//   flagged  - reported by students and waiting for a moderator; once
+//              enough students report it, it is also taken down meanwhile
+//   hidden   - taken down by a moderator; isActive is false
+// Hiding reuses the isActive soft-delete flag, so every public query that
+// already skips deleted reviews skips hidden ones too.
+
+export const NEW_REVIEW_DAYS = 14; // How far back the "new" queue looks
+export const MAX_REASON_LENGTH = 500;
+
+// Open reports it takes to take a review down until a moderator decides
+export const AUTO_HIDE_REPORTS = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+// Stands in for a person in the audit log when the app acts on its own
+export const SYSTEM_ACTOR = { _id: null, displayName: 'Auto-moderation', role: 'system' };
+
+// Filter and cursor sort for each queue in the moderation area
+export function moderationQueue(name) {
+  switch (name) {
+    case 'new': {
+      const since = new Date();
+      since.setDate(since.getDate() - NEW_REVIEW_DAYS);
+      return {
+        filter: { isActive: { $ne: false }, moderationStatus: null, createdAt: { $gte: since } },
+        sort: [['createdAt', -1], ['_id', -1]]
+      };
+    }
+    case 'pending':
+      return {
+        filter: { moderationStatus: 'pending', deletedAt: null },
+        sort: [['createdAt', -1], ['_id', -1]]
+      };
+    case 'flagged':
+      // Includes reviews auto-hidden by reports; authors' own deletions are left alone
+      return {
+        filter: { moderationStatus: 'flagged', deletedAt: null },
+        sort: [['createdAt', -1], ['_id', -1]]
+      };
+    case 'hidden':
+      return {
+        filter: { isActive: false, moderationStatus: 'hidden' },
+        sort: [['moderatedAt', -1], ['_id', -1]]
+      };
+    default:
+      return null;
+  }
+}
+
+// What each action may be applied to and what it changes. Approve and hide
+// also settle pending reviews and reviews auto-hidden by reports, but never
+// touch reviews their authors deleted.
+const ACTIONS = {
+  approve: {
+    from: { deletedAt: null, moderationStatus: { $ne: 'hidden' } },
+    set: { isActive: true, moderationStatus: 'approved' }
+  },
+  hide: {
+    from: { deletedAt: null, moderationStatus: { $ne: 'hidden' } },
+    set: { isActive: false, moderationStatus: 'hidden' },
+    reasonRequired: true
+  },
+  restore: {
+    from: { isActive: false, moderationStatus: 'hidden' },
+    set: { isActive: true, moderationStatus: 'approved' }
+  }
+};
+
+export const MODERATION_ACTIONS = Object.keys(ACTIONS);
+
+export function isReasonRequired(action) {
+  return Boolean(ACTIONS[action]?.reasonRequired);
+}
+
+/**
+ * Applies a moderation action to a review, closes its open reports and
+ * records it in the audit log.
+ * @param {Db} db - Database handle
+ * @param {ObjectId} reviewId - Review to act on
+ * @param {Object} options
+ * @param {string} options.action - One of MODERATION_ACTIONS
+ * @param {Object} options.moderator - The user acting
+ * @param {string} [options.reason] - Shown in the audit log and the hidden queue
+ * @returns {Promise<Object|null>} The updated review, or null if it was not in a state the action applies to
+ */
+export async function moderateReview(db, reviewId, { action, moderator, reason = null }) {
+  const { from, set } = ACTIONS[action];
+  const moderatedAt = new Date();
+
+  const review = await db.collection('reviews').findOneAndUpdate(
+    { _id: reviewId, ...from },
+    {
+      $set: {
+        ...set,
+        moderationReason: reason,
+        moderatedBy: moderator._id,
+        moderatedAt,
+        // Reports after this decision start the count again
+        reportCount: 0
+      }
+    },
+    { returnDocument: 'before', projection: { isActive: 1, moderationStatus: 1, foodItem: 1, station: 1 } }
+  );
+
+  if (!review) return null;
+
+  await db.collection('reports').updateMany(
+    { reviewId, status: 'open' },
+    { $set: { status: 'resolved', resolution: action, resolvedBy: moderator._id, resolvedAt: moderatedAt } }
+  );
+
+  await recordAudit(db, {
+    actor: moderator,
+    action: `review.${action}`,
+    targetType: 'review',
+    targetId: reviewId,
+    reason,
+    details: {
+      foodItem: review.foodItem,
+      station: review.station,
+      previousStatus: review.moderationStatus || null
+    }
+  });
+
+  return { ...review, ...set, moderationReason: reason, moderatedBy: moderator._id, moderatedAt };
+}
+
+/**
+ * Counts a new report against a review and flags it for moderators. Once
+ * AUTO_HIDE_REPORTS are open it is taken down until a moderator decides.
+ * @param {Db} db - Database handle
+ * @param {ObjectId} reviewId - The reported review
+ * @returns {Promise<{ reportCount: number, autoHidden: boolean }|null>} Null if the review is gone or already hidden
+ */
+export async function flagReview(db, reviewId) {
+  const review = await db.collection('reviews').findOneAndUpdate(
+    { _id: reviewId, isActive: { $ne: false } },
+    { $inc: { reportCount: 1 }, $set: { moderationStatus: 'flagged' } },
+    { returnDocument: 'after', projection: { reportCount: 1, foodItem: 1, station: 1 } }
+  );
+
+  if (!review) return null;
+
+  if (review.reportCount < AUTO_HIDE_REPORTS) {
+    return { reportCount: review.reportCount, autoHidden: false };
+  }
+
+  // Guarded on isActive so racing reports only hide (and audit) it once
+  const result = await db.collection('reviews').updateOne(
+    { _id: reviewId, isActive: { $ne: false }, moderationStatus: 'flagged' },
+    { $set: { isActive: false, autoHiddenAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await recordAudit(db, {
+      actor: SYSTEM_ACTOR,
+      action: 'review.autohide',
+      targetType: 'review',
+      targetId: reviewId,
+      reason: `Reported by ${review.reportCount} students`,
+      details: { foodItem: review.foodItem, station: review.station }
+    });
+  }
+
+  return { reportCount: review.reportCount, autoHidden: true };
+}
+
+/**
+ * Records that the content checks held a review back for a moderator.
+ * @param {Db} db - Database handle
+ * @param {Object} review - The held review, with its _id
+ * @param {Array<{ check: string, reason: string }>} flags - From runContentChecks
+ * @returns {Promise<Object>} The audit entry
+ */
+export function recordContentHold(db, review, flags) {
+  return recordAudit(db, {
+    actor: SYSTEM_ACTOR,
+    action: 'review.hold',
+    targetType: 'review',
+    targetId: review._id,
+    reason: flags.map(flag => flag.reason).join('; '),
+    details: { foodItem: review.foodItem, station: review.station, checks: flags.map(flag => flag.check) }
+  });
+}
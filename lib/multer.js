@@ -29,4 +29,18 @@ function getExtension(filename) {
   return filename.substring(filename.lastIndexOf('.'));
 }
 
-export default upload; 
\ No newline at end of file
+export default upload;
+
+// Menu files (CSV or iCalendar) are small and parsed straight from memory
+export const menuFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (!/\.(csv|ics)$/i.test(file.originalname)) {
+      return cb(new Error('Only .csv and .ics menu files are allowed!'), false);
+    }
+    cb(null, true);
+  }
+});
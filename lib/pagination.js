@@ -0,0 +1,100 @@
+import { ObjectId } from 'mongodb';
+
+// Cursors for sorted lists. A sort is a list of [field, direction] pairs
+// ending in _id, so every document has a unique position. A cursor holds
+// the last item's value for each of those fields; the next page is
+// everything that sorts after it, so nothing is skipped or repeated even
+// when reviews are added between requests.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+export function pageSize(limit) {
+  const size = parseInt(limit, 10);
+  if (isNaN(size) || size < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+// The { field: direction } object for .sort()
+export function sortSpec(sort) {
+  return Object.fromEntries(sort);
+}
+
+// Dates and ObjectIds are tagged so they come back as the same types
+function encodeValue(value) {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') {
+      const date = new Date(value.d);
+      if (isNaN(date.getTime())) throw new Error('Invalid date in cursor');
+      return date;
+    }
+    if (typeof value.o === 'string' && ObjectId.isValid(value.o)) return new ObjectId(value.o);
+    throw new Error('Invalid value in cursor');
+  }
+  return value;
+}
+
+// Opaque to clients: base64url JSON so it survives a query string untouched
+export function encodeCursor(doc, sort) {
+  const values = sort.map(([field]) => encodeValue(doc[field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Returns null for anything that isn't a cursor for this sort
+export function decodeCursor(cursor, sort) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== sort.length) return null;
+    const decoded = values.map(decodeValue);
+    if (!(decoded[decoded.length - 1] instanceof ObjectId)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Documents whose field sorts after value. MongoDB sorts missing and null
+// fields before everything else, so they count as the smallest value.
+function beyond(field, direction, value) {
+  if (direction < 0) {
+    return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  }
+  return { [field]: value === null ? { $ne: null } : { $gt: value } };
+}
+
+/**
+ * Filter matching everything after the cursor in the given sort order.
+ * @param {Array} values - From decodeCursor()
+ * @param {Array<[string, number]>} sort - The same sort the cursor was made with
+ * @returns {Object} A filter to combine with the list's own query
+ */
+export function afterCursor(values, sort) {
+  const branches = [];
+  sort.forEach(([field, direction], index) => {
+    const next = beyond(field, direction, values[index]);
+    if (!next) return;
+    // Equal on every earlier field, past the cursor on this one
+    const ties = Object.fromEntries(sort.slice(0, index).map(([tied], i) => [tied, values[i]]));
+    branches.push({ $and: [ties, next] });
+  });
+  return { $or: branches };
+}
+
+/**
+ * Splits a result fetched with limit + 1 into the page and the next cursor.
+ * @param {Array<Object>} docs - Up to size + 1 documents, already sorted
+ * @param {number} size - Page size that was asked for
+ * @param {Array<[string, number]>} sort - The sort the documents were fetched in
+ * @returns {{ items: Array<Object>, nextCursor: string|null }}
+ */
+export function toPage(docs, size, sort) {
+  const items = docs.slice(0, size);
+  const hasMore = docs.length > size;
+  return { items, nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null };
+}
@@ -0,0 +1,124 @@
+// Token-bucket rate limiting for API routes. Each client gets a bucket per
+// policy that holds up to `capacity` requests and refills at
+// `refillPerMinute`; a request takes one token or is turned away with a
+// 429. Buckets live in the rateLimits collection, so the limit holds across
+// every serverless instance, and are updated in a single atomic write.
+
+// Limits for each kind of write. Routes pick one by name.
+export const RATE_LIMITS = {
+  // Bursts of a few reviews after a meal, then about one every two minutes
+  reviewCreate: { name: 'reviews.create', capacity: 5, refillPerMinute: 0.5 },
+  reviewEdit: { name: 'reviews.edit', capacity: 10, refillPerMinute: 2 },
+  upload: { name: 'upload', capacity: 10, refillPerMinute: 1 },
+  vote: { name: 'reviews.vote', capacity: 30, refillPerMinute: 10 },
+  report: {
+    name: 'reviews.report',
+    capacity: 10,
+    refillPerMinute: 10 / 60,
+    message: 'You have reported a lot of reviews recently. Please try again later.'
+  },
+  // Keyed by IP, since nobody is signed in yet
+  auth: { name: 'auth', capacity: 10, refillPerMinute: 2 }
+};
+
+// How the client's address is found behind proxies. A platform header set
+// by the edge (CLIENT_IP_HEADER, e.g. x-real-ip on Vercel or
+// cf-connecting-ip behind Cloudflare) wins. Otherwise x-forwarded-for is
+// read from the right: each of the TRUSTED_PROXY_HOPS proxies in front of
+// the app appends the address it saw, so the entry that many from the end
+// is the client's. Entries before it are whatever the client sent.
+const CLIENT_IP_HEADER = (process.env.CLIENT_IP_HEADER || '').trim().toLowerCase();
+const TRUSTED_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS ?? '1', 10) || 0);
+
+export function clientAddress(req, { header = CLIENT_IP_HEADER, hops = TRUSTED_PROXY_HOPS } = {}) {
+  const platform = header ? req.headers?.[header] : null;
+  if (typeof platform === 'string' && platform.trim()) {
+    return platform.split(',')[0].trim();
+  }
+
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (hops > 0 && typeof forwarded === 'string') {
+    const entries = forwarded.split(',').map(entry => entry.trim()).filter(Boolean);
+    // Fewer entries than proxies means some were skipped; the first is the best guess
+    const client = entries[Math.max(0, entries.length - hops)];
+    if (client) return client;
+  }
+
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// Who a bucket belongs to: the signed-in user, else the client's address
+export function rateLimitKey(req, user = null) {
+  if (user) return `user:${user._id}`;
+  return `ip:${clientAddress(req)}`;
+}
+
+/**
+ * Takes a token from the client's bucket for this policy.
+ * @param {Db} db - Database handle
+ * @param {string} key - From rateLimitKey
+ * @param {Object} policy - One of RATE_LIMITS
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>} retryAfter is in seconds
+ */
+export async function takeToken(db, key, { name, capacity, refillPerMinute }) {
+  const now = new Date();
+  const refillPerMs = refillPerMinute / 60000;
+
+  // Refill for the time since the last request, then take a token if there
+  // is a whole one. Done as a pipeline update so concurrent requests can't
+  // both spend the same token.
+  const refilled = {
+    $min: [
+      capacity,
+      {
+        $add: [
+          { $ifNull: ['$tokens', capacity] },
+          { $multiply: [{ $subtract: [now, { $ifNull: ['$updatedAt', now] }] }, refillPerMs] }
+        ]
+      }
+    ]
+  };
+
+  const bucket = await db.collection('rateLimits').findOneAndUpdate(
+    { _id: `${name}:${key}` },
+    [
+      { $set: { refilled } },
+      {
+        $set: {
+          allowed: { $gte: ['$refilled', 1] },
+          tokens: { $cond: [{ $gte: ['$refilled', 1] }, { $subtract: ['$refilled', 1] }, '$refilled'] },
+          updatedAt: now,
+          // An untouched bucket is full again by then, so it can be dropped
+          expiresAt: { $add: [now, Math.ceil(capacity / refillPerMs)] }
+        }
+      },
+      { $unset: 'refilled' }
+    ],
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  return {
+    allowed: bucket.allowed,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: bucket.allowed ? 0 : Math.max(Math.ceil((1 - bucket.tokens) / refillPerMs / 1000), 1)
+  };
+}
+
+// Responds with 429 and returns false once the client is over the limit.
+// Pass the user when the route already has one, to key by account not address.
+export async function rateLimit(db, req, res, policy, user = null) {
+  const { allowed, remaining, retryAfter } = await takeToken(db, rateLimitKey(req, user), policy);
+
+  res.setHeader('X-RateLimit-Limit', String(policy.capacity));
+  res.setHeader('X-RateLimit-Remaining', String(remaining));
+
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: policy.message || 'Too many requests. Please slow down and try again shortly.',
+      retryAfter
+    });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,12 @@
+// Why a student can report a review. Kept free of server-only imports so
+// the report form and the API share one list.
+
+export const REPORT_CATEGORIES = {
+  offensive: 'Offensive or hateful',
+  spam: 'Spam or advertising',
+  'off-topic': 'Not about the food',
+  personal: 'Shares personal information',
+  other: 'Something else'
+};
+
+export const MAX_REPORT_DETAILS = 500;
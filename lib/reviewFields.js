@@ -0,0 +1,72 @@
+import { isModerator } from './auth.js';
+
+// Which review fields GET /api/reviews may return, and to whom. Anything
+// not listed here (author ids, deletion details, revisions) is never sent,
+// so new internal fields stay private until they are added on purpose.
+//   public    - anyone, signed in or not
+//   moderator - moderators and admins
+const FIELD_VISIBILITY = {
+  foodItem: 'public',
+  foodId: 'public',
+  station: 'public',
+  rating: 'public',
+  comment: 'public',
+  reviewer: 'public',
+  imageUrl: 'public',
+  createdAt: 'public',
+  editedAt: 'public',
+  mealDate: 'public',
+  mealPeriod: 'public',
+  upVotes: 'public',
+  downVotes: 'public',
+  helpfulScore: 'public',
+  moderationStatus: 'moderator',
+  moderationReason: 'moderator',
+  moderatedAt: 'moderator',
+  reportCount: 'moderator',
+  contentFlags: 'moderator'
+};
+
+export const REVIEW_FIELDS = Object.keys(FIELD_VISIBILITY);
+
+// Named field sets for ?preset=. card is what a review card shows and the default.
+export const FIELD_PRESETS = {
+  card: ['foodItem', 'station', 'rating', 'comment', 'reviewer', 'imageUrl', 'createdAt', 'editedAt', 'upVotes', 'downVotes'],
+  full: REVIEW_FIELDS.filter(field => FIELD_VISIBILITY[field] === 'public'),
+  admin: REVIEW_FIELDS
+};
+
+function canSee(user, field) {
+  return FIELD_VISIBILITY[field] === 'public' || isModerator(user);
+}
+
+/**
+ * Works out the projection for a review list request.
+ * @param {Object} options
+ * @param {string} [options.preset] - One of FIELD_PRESETS
+ * @param {string} [options.fields] - Comma-separated field names; replaces the preset
+ * @param {Object|null} user - The viewer
+ * @returns {{ projection: Object }|{ status: number, error: string }} The projection, or why the request can't have it
+ */
+export function reviewProjection({ preset = 'card', fields }, user) {
+  const requested = fields
+    ? [...new Set(fields.split(',').map(field => field.trim()))]
+    : FIELD_PRESETS[preset];
+
+  const unknown = requested.filter(field => !(field in FIELD_VISIBILITY));
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+
+  const hidden = requested.filter(field => !canSee(user, field));
+  if (hidden.length > 0) {
+    return {
+      status: 403,
+      error: fields
+        ? `Only moderators can see: ${hidden.join(', ')}`
+        : `The ${preset} preset is only available to moderators`
+    };
+  }
+
+  return { projection: Object.fromEntries(requested.map(field => [field, 1])) };
+}
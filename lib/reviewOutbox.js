@@ -0,0 +1,177 @@
+import { ObjectId } from 'mongodb';
+
+// Durable queue for review writes during busy periods. Each review waits in
+// the reviewOutbox collection until a processing pass inserts it, so nothing
+// is lost when a serverless instance is recycled or crashes mid-batch.
+// An entry's status is one of:
+//   pending    - waiting for its next attempt at nextAttemptAt
+//   processing - claimed by a pass until lockedUntil; a pass that dies
+//                leaves it to be claimed again once the lock runs out
+//   done       - written to reviews; removed after a week
+//   dead       - failed MAX_ATTEMPTS times, or can never succeed; waits for
+//                an admin to replay it from /api/admin/outbox
+// The review's _id is chosen when it is queued, so a retry of a write that
+// actually landed is recognised as done instead of posting it twice.
+
+export const OUTBOX_STATUSES = ['pending', 'processing', 'done', 'dead'];
+export const BATCH_SIZE = 10;
+export const MAX_ATTEMPTS = 5;
+export const BATCH_WAIT_MS = 200; // How long a queued review waits for others to batch with
+const BASE_DELAY = 2000; // First retry after 2s, then 4s, 8s, ...
+const MAX_DELAY = 5 * 60 * 1000;
+const LOCK_TIME = 60 * 1000;
+
+// Duplicate key errors that aren't about the review's own _id mean the
+// review breaks a rule (one per meal) that retrying won't change; so does
+// failing the collection validator (code 121)
+function isPermanentError(error) {
+  if (error.code === 121) return true;
+  return error.code === 11000 && !/index: _id_/.test(error.errmsg || error.message || '');
+}
+
+export function retryDelay(attempts) {
+  return Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+}
+
+/**
+ * Queues a review for writing.
+ * @param {Db} db - Database handle
+ * @param {Object} review - The review document. An _id left by a failed
+ *   insert is kept, so the retry can tell if that insert landed after all.
+ * @returns {Promise<{ entryId: ObjectId, reviewId: ObjectId }>}
+ */
+export async function enqueueReview(db, review) {
+  const reviewId = review._id || new ObjectId();
+  const now = new Date();
+
+  const result = await db.collection('reviewOutbox').insertOne({
+    review: { ...review, _id: reviewId },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now
+  });
+
+  return { entryId: result.insertedId, reviewId };
+}
+
+// True when reviews are already waiting, so new ones should queue behind them
+export async function hasPendingReviews(db) {
+  const count = await db.collection('reviewOutbox').countDocuments(
+    { status: { $in: ['pending', 'processing'] } },
+    { limit: 1 }
+  );
+  return count > 0;
+}
+
+// Claims up to BATCH_SIZE entries that are due, oldest first
+async function claimBatch(db) {
+  const now = new Date();
+  const batch = [];
+
+  while (batch.length < BATCH_SIZE) {
+    const entry = await db.collection('reviewOutbox').findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_TIME) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+    if (!entry) break;
+    batch.push(entry);
+  }
+
+  return batch;
+}
+
+async function markFailed(db, entry, error) {
+  const attempts = entry.attempts + 1;
+  const dead = attempts >= MAX_ATTEMPTS || isPermanentError(error);
+
+  await db.collection('reviewOutbox').updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+        lastError: error.errmsg || error.message || String(error),
+        lastErrorCode: error.code ?? null,
+        ...(dead && { deadAt: new Date() })
+      },
+      $unset: { lockedUntil: '' }
+    }
+  );
+}
+
+/**
+ * Writes queued reviews in batches until nothing is due or maxBatches have run.
+ * @param {Db} db - Database handle
+ * @param {Object} [options]
+ * @param {number} [options.maxBatches] - Limit on batches in this pass
+ * @returns {Promise<{ written: Array<ObjectId>, failed: number }>} Ids of the reviews written, and how many entries failed
+ */
+export async function processOutbox(db, { maxBatches = 5 } = {}) {
+  const written = [];
+  let failed = 0;
+
+  for (let i = 0; i < maxBatches; i++) {
+    const batch = await claimBatch(db);
+    if (batch.length === 0) break;
+
+    // Unordered, so one bad review doesn't hold up the rest of the batch
+    let writeErrors = [];
+    try {
+      await db.collection('reviews').insertMany(batch.map(entry => entry.review), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        // Nothing is known about which reviews landed; retry them all
+        await Promise.all(batch.map(entry => markFailed(db, entry, error)));
+        failed += batch.length;
+        continue;
+      }
+      writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+    }
+
+    const errorsByIndex = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+    const doneAt = new Date();
+
+    for (const [index, entry] of batch.entries()) {
+      const writeError = errorsByIndex.get(index);
+      // A duplicate _id is an earlier attempt that landed after all
+      if (!writeError || (writeError.code === 11000 && !isPermanentError(writeError))) {
+        await db.collection('reviewOutbox').updateOne(
+          { _id: entry._id },
+          { $set: { status: 'done', doneAt, attempts: entry.attempts + 1 }, $unset: { lockedUntil: '' } }
+        );
+        written.push(entry.review._id);
+      } else {
+        await markFailed(db, entry, writeError);
+        failed++;
+      }
+    }
+  }
+
+  return { written, failed };
+}
+
+/**
+ * Puts a dead entry back in the queue for another round of attempts.
+ * @param {Db} db - Database handle
+ * @param {ObjectId} entryId - The outbox entry
+ * @returns {Promise<Object|null>} The entry as it was, or null if it wasn't dead
+ */
+export function replayOutboxEntry(db, entryId) {
+  return db.collection('reviewOutbox').findOneAndUpdate(
+    { _id: entryId, status: 'dead' },
+    {
+      $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { deadAt: '' }
+    },
+    { returnDocument: 'before', projection: { review: 1, attempts: 1, lastError: 1 } }
+  );
+}
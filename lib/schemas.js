@@ -0,0 +1,119 @@
+import { ROLES } from './auth.js';
+import { MEAL_PERIODS } from './menus.js';
+import { MAX_REPORT_DETAILS, REPORT_CATEGORIES } from './reports.js';
+import { VOTE_VALUES } from './votes.js';
+
+// Field rules shared by the API routes (through lib/validation.js) and the
+// MongoDB collection validators (scripts/setup-validation.js), so a limit
+// changed here applies to both. Route-specific request schemas are built
+// from these in the routes themselves.
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_NAME_LENGTH = 100; // Dishes, stations and display names
+const MAX_URL_LENGTH = 500;
+
+export function required(rule) {
+  return { ...rule, required: true };
+}
+
+export const FIELDS = {
+  foodItem: { type: 'string', label: 'Food item', maxLength: MAX_NAME_LENGTH },
+  station: { type: 'string', label: 'Station', maxLength: MAX_NAME_LENGTH },
+  slug: { type: 'string', label: 'Slug', maxLength: MAX_NAME_LENGTH, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, message: 'Slug must be lowercase letters and numbers separated by dashes' },
+  displayOrder: { type: 'integer', label: 'Display order', min: 0, max: 10000 },
+  description: { type: 'string', label: 'Description', maxLength: 500, nullable: true },
+  // Free text as shown to students, e.g. "Weekdays 11am-2pm"
+  hours: { type: 'string', label: 'Hours', maxLength: 200, nullable: true },
+  active: { type: 'boolean', label: 'Active' },
+  rating: { type: 'integer', label: 'Rating', min: 1, max: 5 },
+  comment: { type: 'string', label: 'Comment', maxLength: MAX_COMMENT_LENGTH },
+  imageUrl: { type: 'string', label: 'Image URL', maxLength: MAX_URL_LENGTH, pattern: /^https?:\/\//, nullable: true },
+  mealDate: { type: 'dateKey', label: 'Meal date' },
+  mealPeriod: { type: 'string', label: 'Meal period', values: MEAL_PERIODS },
+  email: { type: 'string', label: 'Email', maxLength: 254, lowercase: true, pattern: /^[^\s@]+@[^\s@]+$/, message: 'Please enter a valid email address' },
+  displayName: { type: 'string', label: 'Display name', maxLength: MAX_NAME_LENGTH },
+  role: { type: 'string', label: 'Role', values: ROLES },
+  reportCategory: { type: 'string', label: 'Category', values: Object.keys(REPORT_CATEGORIES) },
+  reportDetails: { type: 'string', label: 'Details', maxLength: MAX_REPORT_DETAILS, nullable: true },
+  vote: { type: 'integer', label: 'Value', values: VOTE_VALUES, message: 'Value must be 1 (helpful), -1 (not helpful) or 0 (no vote)' },
+  menuItems: {
+    type: 'array',
+    label: 'Items',
+    minItems: 1,
+    maxItems: 200,
+    items: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    message: 'Items must be a non-empty list of food names'
+  },
+  // Paging through any cursor-sorted list; pageSize() caps the limit
+  cursor: { type: 'string', label: 'Cursor', maxLength: 1000 },
+  limit: { type: 'integer', label: 'Limit', min: 1 }
+};
+
+// An id taken from the route, e.g. /api/reviews/[id]
+export function idParam(label) {
+  return { type: 'objectId', label, required: true, message: `Invalid ${label}` };
+}
+
+// What every document in a collection must look like. Fields a document
+// doesn't have yet are fine; only ones present are checked.
+export const COLLECTION_SCHEMAS = {
+  reviews: {
+    foodItem: required(FIELDS.foodItem),
+    station: required(FIELDS.station),
+    rating: required(FIELDS.rating),
+    comment: required(FIELDS.comment),
+    createdAt: { type: 'date', required: true },
+    foodId: { type: 'objectId' },
+    userId: { type: 'objectId' },
+    reviewer: { type: 'string' },
+    imageUrl: FIELDS.imageUrl,
+    isActive: { type: 'boolean' },
+    mealDate: FIELDS.mealDate,
+    mealPeriod: FIELDS.mealPeriod,
+    moderationStatus: { type: 'string', values: ['pending', 'approved', 'flagged', 'hidden'] },
+    upVotes: { type: 'integer', min: 0 },
+    downVotes: { type: 'integer', min: 0 },
+    helpfulScore: { type: 'integer' }
+  },
+  users: {
+    email: required(FIELDS.email),
+    displayName: required(FIELDS.displayName),
+    role: required(FIELDS.role),
+    passwordHash: { type: 'string' },
+    createdAt: { type: 'date', required: true }
+  },
+  stations: {
+    name: required(FIELDS.station),
+    slug: FIELDS.slug,
+    displayOrder: FIELDS.displayOrder,
+    description: FIELDS.description,
+    hours: FIELDS.hours,
+    active: FIELDS.active,
+    createdAt: { type: 'date' }
+  },
+  foods: {
+    name: required(FIELDS.foodItem),
+    // Dishes served at two stations get the station's slug appended
+    slug: required({ ...FIELDS.slug, maxLength: MAX_NAME_LENGTH * 2 + 1 }),
+    station: required(FIELDS.station),
+    aliases: { type: 'array', items: { type: 'string' } }
+  },
+  menus: {
+    date: { type: 'dateKey', required: true },
+    mealPeriod: required(FIELDS.mealPeriod),
+    station: required(FIELDS.station),
+    items: required(FIELDS.menuItems)
+  },
+  reports: {
+    reviewId: { type: 'objectId', required: true },
+    userId: { type: 'objectId', required: true },
+    category: required(FIELDS.reportCategory),
+    details: FIELDS.reportDetails,
+    status: { type: 'string', required: true, values: ['open', 'resolved'] }
+  },
+  votes: {
+    reviewId: { type: 'objectId', required: true },
+    userId: { type: 'objectId', required: true },
+    value: { type: 'integer', required: true, values: [1, -1] }
+  }
+};
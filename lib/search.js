@@ -0,0 +1,75 @@
+// Helpers for turning a $text search into highlighted snippets. MongoDB
+// doesn't say which words matched, so the terms are re-found here.
+
+const SNIPPET_RADIUS = 60; // Characters of context either side of the first match
+
+// Rough stem so "spicy" also highlights "spiciest" and "tenders" highlights "tender"
+function stem(term) {
+  const stemmed = term.replace(/(ies|ing|est|ed|es|s|y)$/, '');
+  return stemmed.length >= 4 ? stemmed : term;
+}
+
+// MongoDB's English text index ignores these too
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'for', 'in', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The words to highlight for a query, leaving out -excluded terms
+export function searchTerms(query) {
+  return query
+    .toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/[^a-z0-9]/g, ''))
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(stem);
+}
+
+/**
+ * Cuts a window of text around the first matching term and splits it into
+ * plain and matched segments so the page can wrap matches in <mark>.
+ * @param {string} text - Comment or dish name
+ * @param {Array<string>} terms - From searchTerms()
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function buildSnippet(text = '', terms) {
+  if (terms.length === 0) {
+    return [{ text, match: false }];
+  }
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})[a-z0-9]*`, 'gi');
+  const firstMatch = text.search(pattern);
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_RADIUS * 2) {
+    start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - SNIPPET_RADIUS);
+    end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+  }
+
+  const window = text.slice(start, end);
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of window.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: window.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < window.length) {
+    segments.push({ text: window.slice(lastIndex), match: false });
+  }
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+
+  return segments;
+}
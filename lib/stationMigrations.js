@@ -0,0 +1,353 @@
+import { mealClashes, slugify } from './foods.js';
+import { stationReferences } from './stations.js';
+
+// Renaming and merging stations. Reviews, menus and foods refer to a station
+// by name, so both operations rewrite those documents as well as the station
+// itself. Each run is recorded in the migrations collection (kind 'station')
+// under its own id, together with what it takes to undo it. Whether there is
+// anything left to do is decided from the stations themselves, not from
+// earlier records, so running the same command twice is safe and renaming
+// A to B, back to A and to B again runs all three times. Callers hold the
+// migrations lock (lib/migrations.js) while planning and applying, so the
+// plan can't go stale, and while rolling back.
+//   rename - give a station a name no other station uses
+//   merge  - fold one station (or a name only old reviews still use) into
+//            another. Dishes and menus both stations have are combined.
+
+export const STATION_MIGRATION_KIND = 'station';
+
+export function stationMigrationId(operation, from, to, startedAt) {
+  return `station:${operation}:${from}->${to}@${startedAt.toISOString()}`;
+}
+
+/**
+ * Works out what a rename or merge would change, without changing anything.
+ * @param {Db} db - Database handle
+ * @param {Object} options
+ * @param {'rename'|'merge'} options.operation
+ * @param {string} options.from - The station name being replaced
+ * @param {string} options.to - The new name, or the station to merge into
+ * @returns {Promise<Object>} The plan, { upToDate } with a message when it
+ *   has already been done, or { error } when it can't be done
+ */
+export async function planStationMigration(db, { operation, from, to }) {
+  if (from === to) {
+    return { error: 'The old and new station names are the same' };
+  }
+
+  const stations = db.collection('stations');
+  const [fromStation, toStation, references] = await Promise.all([
+    stations.findOne({ name: from }),
+    stations.findOne({ name: to }),
+    stationReferences(db, from)
+  ]);
+
+  const plan = { operation, from, to, fromStation, toStation, references };
+
+  if (operation === 'rename') {
+    if (!fromStation && toStation && references.total === 0) {
+      return { upToDate: `${from} is already called ${to}; nothing to do` };
+    }
+    if (!fromStation) {
+      return { error: references.total > 0 ? `There is no station named ${from}; merge it into an existing station instead` : `There is no station named ${from}` };
+    }
+    if (toStation) {
+      return { error: `${to} already exists; merge ${from} into it instead` };
+    }
+    return plan;
+  }
+
+  if (!toStation) {
+    return { error: `There is no station named ${to} to merge into` };
+  }
+  if (!fromStation && references.total === 0) {
+    return { upToDate: `Nothing is filed under ${from}; nothing to do` };
+  }
+
+  // A meal both stations have a menu for becomes one menu
+  const [fromMenus, toMenus] = await Promise.all([from, to].map(station =>
+    db.collection('menus').find({ station }).toArray()
+  ));
+  const toMenusByMeal = new Map(toMenus.map(menu => [`${menu.date}|${menu.mealPeriod}`, menu]));
+  plan.menuClashes = fromMenus
+    .filter(menu => toMenusByMeal.has(`${menu.date}|${menu.mealPeriod}`))
+    .map(source => ({ source, target: toMenusByMeal.get(`${source.date}|${source.mealPeriod}`) }));
+  plan.movedMenuIds = fromMenus
+    .filter(menu => !toMenusByMeal.has(`${menu.date}|${menu.mealPeriod}`))
+    .map(menu => menu._id);
+
+  // A dish both stations serve (any shared spelling) becomes one dish, the
+  // way mergeFoods folds duplicates, since the catalog allows one per station
+  const [fromFoods, toFoods] = await Promise.all([from, to].map(station =>
+    db.collection('foods').find({ station }).toArray()
+  ));
+  const toFoodsByKey = new Map(toFoods.flatMap(food => (food.matchKeys || []).map(key => [key, food])));
+  plan.foodClashes = [];
+  plan.movedFoodIds = [];
+  fromFoods.forEach(source => {
+    const target = (source.matchKeys || []).map(key => toFoodsByKey.get(key)).find(Boolean);
+    if (target) {
+      plan.foodClashes.push({ source, target });
+    } else {
+      plan.movedFoodIds.push(source._id);
+    }
+  });
+  plan.usedMatchKeys = [...toFoodsByKey.keys()];
+
+  return plan;
+}
+
+/**
+ * Applies a plan from planStationMigration and records it.
+ * @param {Db} db - Database handle
+ * @param {Object} plan - From planStationMigration
+ * @returns {Promise<Object>} The migration's record, with its id and counts
+ */
+export async function applyStationMigration(db, plan) {
+  const migrations = db.collection('migrations');
+
+  // A half-done run leaves the stations in a state no plan accounts for
+  const interrupted = await migrations.findOne({ kind: STATION_MIGRATION_KIND, status: 'applying' });
+  if (interrupted) {
+    throw new Error(`${interrupted._id} was interrupted part way; roll it back before running another`);
+  }
+
+  const startedAt = new Date();
+  const id = stationMigrationId(plan.operation, plan.from, plan.to, startedAt);
+
+  const apply = plan.operation === 'rename' ? applyRename : applyMerge;
+  const migration = await apply(db, plan, async (undo) => {
+    // Written before anything changes, so an interrupted run can be rolled back
+    await migrations.insertOne({
+      _id: id,
+      kind: STATION_MIGRATION_KIND,
+      operation: plan.operation,
+      from: plan.from,
+      to: plan.to,
+      status: 'applying',
+      startedAt,
+      undo
+    });
+  });
+
+  await migrations.updateOne(
+    { _id: id },
+    { $set: { status: 'applied', appliedAt: new Date(), counts: migration.counts } }
+  );
+
+  return { ...migration, _id: id, status: 'applied' };
+}
+
+async function applyRename(db, { from, to, fromStation }, saveUndo) {
+  // Keep the slug in step with the name, unless an admin chose a different one
+  const newSlug = slugify(to);
+  const followsName = fromStation.slug === slugify(from) && newSlug &&
+    !(await db.collection('stations').findOne({ slug: newSlug }));
+
+  await saveUndo({ stationId: fromStation._id, slug: fromStation.slug ?? null });
+
+  await db.collection('stations').updateOne(
+    { _id: fromStation._id },
+    { $set: { name: to, ...(followsName && { slug: newSlug }), updatedAt: new Date() } }
+  );
+
+  const [reviews, menus, foods] = await Promise.all(['reviews', 'menus', 'foods'].map(collection =>
+    db.collection(collection).updateMany({ station: from }, { $set: { station: to } })
+  ));
+
+  return { counts: { reviews: reviews.modifiedCount, menus: menus.modifiedCount, foods: foods.modifiedCount } };
+}
+
+async function applyMerge(db, plan, saveUndo) {
+  const { from, to, fromStation, menuClashes, movedMenuIds, foodClashes, movedFoodIds } = plan;
+  const usedMatchKeys = new Set(plan.usedMatchKeys);
+
+  // Close the old station first so nothing new is filed under it mid-merge
+  if (fromStation) {
+    await db.collection('stations').updateOne({ _id: fromStation._id }, { $set: { active: false } });
+  }
+
+  const reviewIds = await db.collection('reviews').distinct('_id', { station: from });
+  const sourceFoodIds = foodClashes.map(({ source }) => source._id);
+  const foldedReviews = await db.collection('reviews')
+    .find({ _id: { $in: reviewIds }, foodId: { $in: sourceFoodIds } })
+    .project({ foodId: 1, foodItem: 1, mealDate: 1, mealPeriod: 1 })
+    .toArray();
+
+  // Only folded reviews for a meal the student already reviewed the other
+  // station's dish at leave the one-review-per-meal index
+  const authors = new Map((await db.collection('reviews')
+    .find({ _id: { $in: foldedReviews.map(review => review._id) } })
+    .project({ userId: 1 })
+    .toArray()).map(review => [String(review._id), review.userId]));
+  const clashIds = [];
+  for (const { source, target } of foodClashes) {
+    const folded = foldedReviews
+      .filter(review => String(review.foodId) === String(source._id))
+      .map(review => ({ ...review, userId: authors.get(String(review._id)) }));
+    clashIds.push(...await mealClashes(db, target._id, folded));
+  }
+
+  // Ids rather than names, so rolling back doesn't also move the reviews
+  // the target station already had
+  await saveUndo({
+    station: fromStation,
+    reviewIds,
+    foldedReviews,
+    movedMenuIds,
+    removedMenus: menuClashes.map(({ source }) => source),
+    mergedMenus: menuClashes.map(({ target }) => ({ _id: target._id, items: target.items })),
+    movedFoodIds,
+    removedFoods: foodClashes.map(({ source }) => source),
+    mergedFoods: foodClashes.map(({ target }) => ({
+      _id: target._id,
+      aliases: target.aliases ?? null,
+      matchKeys: target.matchKeys ?? null,
+      previousSlugs: target.previousSlugs ?? null
+    }))
+  });
+
+  // Every review moves in one bulk write. Reviews of a dish that is being
+  // folded are re-pointed at the other station's dish first, the clashing
+  // ones left out of the one-review-per-meal index as in mergeFoods.
+  if (reviewIds.length > 0) {
+    await db.collection('reviews').bulkWrite([
+      { updateMany: { filter: { _id: { $in: clashIds } }, update: { $unset: { mealDate: '', mealPeriod: '' } } } },
+      ...foodClashes.map(({ source, target }) => ({
+        updateMany: {
+          filter: { _id: { $in: reviewIds }, foodId: source._id },
+          update: { $set: { foodId: target._id, foodItem: target.name } }
+        }
+      })),
+      { updateMany: { filter: { _id: { $in: reviewIds } }, update: { $set: { station: to } } } }
+    ]);
+  }
+
+  if (menuClashes.length > 0) {
+    await db.collection('menus').bulkWrite(menuClashes.map(({ source, target }) => ({
+      updateOne: { filter: { _id: target._id }, update: { $addToSet: { items: { $each: source.items } } } }
+    })));
+    await db.collection('menus').deleteMany({ _id: { $in: menuClashes.map(({ source }) => source._id) } });
+  }
+  await db.collection('menus').updateMany({ _id: { $in: movedMenuIds } }, { $set: { station: to } });
+
+  if (foodClashes.length > 0) {
+    // Remove the folded dishes first so their spellings don't collide with
+    // the unique station and match key index when added to the target
+    await db.collection('foods').deleteMany({ _id: { $in: sourceFoodIds } });
+    await db.collection('foods').bulkWrite(foodClashes.map(({ source, target }) => ({
+      updateOne: {
+        filter: { _id: target._id },
+        update: {
+          $addToSet: {
+            aliases: { $each: [source.name, ...(source.aliases || [])] },
+            matchKeys: { $each: (source.matchKeys || []).filter(key => !usedMatchKeys.has(key)) },
+            previousSlugs: { $each: [source.slug, ...(source.previousSlugs || [])] }
+          },
+          $set: { updatedAt: new Date() }
+        }
+      }
+    })));
+  }
+  await db.collection('foods').updateMany({ _id: { $in: movedFoodIds } }, { $set: { station: to } });
+
+  if (fromStation) {
+    await db.collection('stations').deleteOne({ _id: fromStation._id });
+  }
+
+  return {
+    counts: {
+      reviews: reviewIds.length,
+      menus: movedMenuIds.length + menuClashes.length,
+      foods: movedFoodIds.length + foodClashes.length
+    }
+  };
+}
+
+/**
+ * Undoes an applied (or interrupted) station migration.
+ * @param {Db} db - Database handle
+ * @param {Object} migration - The migration's record from the migrations collection
+ * @returns {Promise<void>}
+ */
+export async function rollbackStationMigration(db, migration) {
+  const { operation, from, to, undo } = migration;
+
+  if (operation === 'rename') {
+    await db.collection('stations').updateOne(
+      { _id: undo.stationId },
+      undo.slug === null
+        ? { $set: { name: from, updatedAt: new Date() }, $unset: { slug: '' } }
+        : { $set: { name: from, slug: undo.slug, updatedAt: new Date() } }
+    );
+    await Promise.all(['reviews', 'menus', 'foods'].map(collection =>
+      db.collection(collection).updateMany({ station: to }, { $set: { station: from } })
+    ));
+  } else {
+    // Every step replaces or sets values, so a rollback that was itself
+    // interrupted can simply be run again
+    if (undo.station) {
+      await db.collection('stations').replaceOne({ _id: undo.station._id }, undo.station, { upsert: true });
+    }
+
+    // Give the target dishes back their own spellings before the folded
+    // dishes return with theirs
+    if (undo.mergedFoods.length > 0) {
+      await db.collection('foods').bulkWrite(undo.mergedFoods.map(({ _id, ...fields }) => ({
+        updateOne: { filter: { _id }, update: restoreFields(fields) }
+      })));
+    }
+    if (undo.removedFoods.length > 0) {
+      await db.collection('foods').bulkWrite(undo.removedFoods.map(food => ({
+        replaceOne: { filter: { _id: food._id }, replacement: food, upsert: true }
+      })));
+    }
+    await db.collection('foods').updateMany({ _id: { $in: undo.movedFoodIds } }, { $set: { station: from } });
+
+    if (undo.reviewIds.length > 0) {
+      await db.collection('reviews').bulkWrite([
+        { updateMany: { filter: { _id: { $in: undo.reviewIds } }, update: { $set: { station: from } } } },
+        ...undo.foldedReviews.map(({ _id, ...fields }) => ({
+          updateOne: {
+            filter: { _id },
+            update: restoreFields({ mealDate: null, mealPeriod: null, ...fields })
+          }
+        }))
+      ]);
+    }
+
+    if (undo.mergedMenus.length > 0) {
+      await db.collection('menus').bulkWrite(undo.mergedMenus.map(({ _id, items }) => ({
+        updateOne: { filter: { _id }, update: { $set: { items } } }
+      })));
+    }
+    if (undo.removedMenus.length > 0) {
+      await db.collection('menus').bulkWrite(undo.removedMenus.map(menu => ({
+        replaceOne: { filter: { _id: menu._id }, replacement: menu, upsert: true }
+      })));
+    }
+    await db.collection('menus').updateMany({ _id: { $in: undo.movedMenuIds } }, { $set: { station: from } });
+  }
+
+  await db.collection('migrations').updateOne(
+    { _id: migration._id },
+    { $set: { status: 'rolledBack', rolledBackAt: new Date() } }
+  );
+}
+
+// An update that sets each field back, removing the ones that were missing (null)
+function restoreFields(fields) {
+  const $set = {};
+  const $unset = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === null || value === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = value;
+    }
+  });
+  return {
+    ...(Object.keys($set).length > 0 && { $set }),
+    ...(Object.keys($unset).length > 0 && { $unset })
+  };
+}
@@ -0,0 +1,79 @@
+import { ObjectId } from 'mongodb';
+import { slugify } from './foods.js';
+
+// Dining stations. Each has a stable _id, a slug for links, a display
+// order for buttons and menus, an optional description and opening hours,
+// and an active flag: an inactive station keeps its reviews and stats page
+// but isn't listed or offered for new reviews and menus. Reviews, menus and
+// foods refer to a station by name, so a station that is referenced can't
+// be renamed or deleted here.
+
+// The stations Lowry serves from, in display order. Seeds a new database
+// (scripts/init-stations.js) and stands in when MongoDB can't be reached.
+export const DEFAULT_STATIONS = [
+  'Garden & Provisions',
+  'Hearth 66',
+  'Globe Wooster',
+  'Lemongrass',
+  'Zone',
+  'The Garden',
+  'The Kitchen Table',
+  "Mom's Kitchen"
+].map((name, index) => ({
+  name,
+  slug: slugify(name),
+  displayOrder: index + 1,
+  description: null,
+  hours: null,
+  active: true
+}));
+
+// Buttons and lists show stations in this order
+export const STATION_SORT = { displayOrder: 1, name: 1 };
+
+/**
+ * Finds a station by its id, slug or name, so links of any age keep working.
+ * @param {Db} db - Database handle
+ * @param {string} key - An id, slug or name
+ * @param {Object} [options] - Passed to findOne, e.g. a projection
+ * @returns {Promise<Object|null>}
+ */
+export function findStation(db, key, options) {
+  const matches = [{ slug: key }, { name: key }];
+  if (/^[0-9a-f]{24}$/i.test(key)) {
+    matches.unshift({ _id: new ObjectId(key) });
+  }
+  return db.collection('stations').findOne({ $or: matches }, options);
+}
+
+// Why new reviews and menus can't be filed under a station, or null if they can
+export async function unavailableStation(db, name) {
+  const station = await db.collection('stations').findOne({ name }, { projection: { active: 1 } });
+  if (!station) return `Unknown station: ${name}`;
+  if (station.active === false) return `${name} is closed`;
+  return null;
+}
+
+/**
+ * How many reviews (deleted ones included), menus and foods name a station.
+ * @param {Db} db - Database handle
+ * @param {string} name - The station's name
+ * @returns {Promise<{ reviews: number, menus: number, foods: number, total: number }>}
+ */
+export async function stationReferences(db, name) {
+  const [reviews, menus, foods] = await Promise.all(
+    ['reviews', 'menus', 'foods'].map(collection => db.collection(collection).countDocuments({ station: name }))
+  );
+  return { reviews, menus, foods, total: reviews + menus + foods };
+}
+
+// The display order for a station added after the existing ones
+export async function nextDisplayOrder(db) {
+  const [last] = await db.collection('stations')
+    .find({})
+    .project({ displayOrder: 1 })
+    .sort({ displayOrder: -1 })
+    .limit(1)
+    .toArray();
+  return (last?.displayOrder || 0) + 1;
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Client-side hook for the signed-in user
+export default function useSession() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch('/api/auth/me');
+      if (!response.ok) {
+        throw new Error('Failed to load session');
+      }
+      const data = await response.json();
+      setUser(data.user);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      setUser(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    setUser(null);
+  };
+
+  return { user, loading, refresh, signOut };
+}
@@ -0,0 +1,255 @@
+import { ObjectId } from 'mongodb';
+import { isDateKey } from './menus.js';
+
+// Declarative validation for API request bodies and query strings. A schema
+// maps each field to a rule, e.g.
+//   { rating: { type: 'integer', label: 'Rating', required: true, min: 1, max: 5 } }
+// Types: string, integer, number, boolean, objectId, date, dateKey, array.
+// Rule options:
+//   required, default, nullable  - presence; see below for empty strings
+//   label                        - how messages name the field
+//   values                       - allowed values (strings or integers)
+//   min, max                     - numbers; minLength, maxLength, pattern for strings
+//   items, minItems, maxItems    - arrays; items is the rule for each element
+//   trim, lowercase              - strings are trimmed unless trim is false,
+//                                  and lowercased if lowercase is true
+//   message                      - replaces the generated message
+// Query values arrive as text, so numbers and booleans are parsed from it;
+// in JSON bodies they must already be numbers and booleans. objectId, date
+// and dateKey fields come back as ObjectId, Date and "YYYY-MM-DD".
+// An empty query parameter counts as missing. An empty body string is
+// missing if the field is required, null if it is nullable, and otherwise
+// an error, so an edit can't blank a field by accident.
+// Unknown body fields are an error, so nothing unexpected reaches a
+// document; unknown query parameters are dropped.
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function humanize(field) {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Returns { value } or { error } for one field
+function checkValue(rule, raw, label, fromQuery) {
+  const fail = (message) => ({ error: rule.message || `${label} ${message}` });
+  let value = raw;
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be text');
+      if (rule.trim !== false) value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.values && !rule.values.includes(value)) return fail(`must be one of: ${rule.values.join(', ')}`);
+      if (rule.minLength && value.length < rule.minLength) return fail(`must be at least ${rule.minLength} characters`);
+      if (rule.maxLength && value.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(value)) return fail('is not in the right format');
+      return { value };
+    }
+    case 'integer':
+    case 'number': {
+      if (fromQuery && typeof value === 'string') {
+        value = value.trim() === '' ? NaN : Number(value);
+      }
+      const whole = rule.type === 'integer';
+      const range = rule.min !== undefined && rule.max !== undefined ? ` from ${rule.min} to ${rule.max}` : '';
+      if (typeof value !== 'number' || !isFinite(value) || (whole && !Number.isInteger(value))) {
+        return fail(`${whole ? 'must be a whole number' : 'must be a number'}${range}`);
+      }
+      if (rule.values && !rule.values.includes(value)) return fail(`must be one of: ${rule.values.join(', ')}`);
+      if (range && (value < rule.min || value > rule.max)) return fail(`must be${range}`);
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+      return { value };
+    }
+    case 'boolean': {
+      if (fromQuery && (value === 'true' || value === 'false')) return { value: value === 'true' };
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      return { value };
+    }
+    case 'objectId': {
+      if (typeof value !== 'string' || !ObjectId.isValid(value) || !/^[0-9a-f]{24}$/i.test(value)) {
+        return fail('must be a valid ID');
+      }
+      return { value: new ObjectId(value) };
+    }
+    case 'date': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) return fail('must be a valid date');
+      return { value: date };
+    }
+    case 'dateKey': {
+      if (typeof value !== 'string' || !isDateKey(value.trim())) return fail('must be a date in YYYY-MM-DD format');
+      return { value: value.trim() };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (rule.minItems && value.length < rule.minItems) return fail(`must have at least ${rule.minItems} ${rule.minItems === 1 ? 'item' : 'items'}`);
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = checkValue(rule.items, item, `${label} item ${index + 1}`, false);
+        if (result.error) return { error: rule.message || result.error };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+}
+
+/**
+ * Checks input against a schema.
+ * @param {Object} schema - Field name to rule
+ * @param {Object} input - req.body or req.query
+ * @param {Object} [options]
+ * @param {string} [options.source] - "body" or "query"
+ * @returns {{ value: Object, errors: Object|null }} The cleaned values, and a message per bad field
+ */
+export function validate(schema, input, { source = 'body' } = {}) {
+  const fromQuery = source === 'query';
+  const errors = {};
+  const value = {};
+
+  if (input === undefined || input === null || input === '') {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: { _: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const label = rule.label || humanize(field);
+    let raw = input[field];
+
+    if (fromQuery && Array.isArray(raw)) {
+      errors[field] = `${label} must be given once`;
+      continue;
+    }
+    if (typeof raw === 'string' && (rule.trim === false ? raw : raw.trim()) === '') {
+      if (fromQuery || rule.required) {
+        raw = undefined;
+      } else if (rule.nullable) {
+        raw = null;
+      } else if (rule.type === 'string') {
+        errors[field] = rule.message || `${label} cannot be empty`;
+        continue;
+      }
+    }
+
+    if (raw === null && rule.nullable) {
+      value[field] = null;
+      continue;
+    }
+    if (raw === undefined || raw === null) {
+      if (rule.required) {
+        errors[field] = rule.message || `${label} is required`;
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    const result = checkValue(rule, raw, label, fromQuery);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (!fromQuery) {
+    Object.keys(input)
+      .filter(field => !(field in schema))
+      .forEach(field => { errors[field] = `${humanize(field)} is not an accepted field`; });
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// The structured 400 every route sends for bad input. `error` repeats the
+// first message so pages that only show data.error still say something useful.
+export function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: Object.values(errors)[0],
+    fields: errors
+  });
+}
+
+/**
+ * Validates req.query and/or req.body, responding with a 400 if either is bad.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} schemas
+ * @param {Object} [schemas.query] - Schema for the query string, route params included
+ * @param {Object} [schemas.body] - Schema for the JSON body
+ * @returns {{ query: Object, body: Object }|null} Cleaned input, or null once the 400 is sent
+ */
+export function validateRequest(req, res, { query, body }) {
+  const errors = {};
+  const result = {};
+
+  if (query) {
+    const checked = validate(query, req.query, { source: 'query' });
+    Object.assign(errors, checked.errors);
+    result.query = checked.value;
+  }
+  if (body) {
+    const checked = validate(body, req.body, { source: 'body' });
+    Object.assign(errors, checked.errors);
+    result.body = checked.value;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    sendValidationError(res, errors);
+    return null;
+  }
+  return result;
+}
+
+const BSON_TYPES = {
+  string: 'string',
+  integer: ['int', 'long'],
+  number: ['int', 'long', 'double', 'decimal'],
+  boolean: 'bool',
+  objectId: 'objectId',
+  date: 'date',
+  dateKey: 'string',
+  array: 'array'
+};
+
+function ruleToJsonSchema(rule) {
+  let bsonType = BSON_TYPES[rule.type];
+  if (rule.nullable) {
+    bsonType = [...[].concat(bsonType), 'null'];
+  }
+
+  const property = { bsonType };
+  if (rule.values) property.enum = rule.nullable ? [...rule.values, null] : rule.values;
+  if (rule.minLength) property.minLength = rule.minLength;
+  if (rule.maxLength) property.maxLength = rule.maxLength;
+  if (rule.min !== undefined) property.minimum = rule.min;
+  if (rule.max !== undefined) property.maximum = rule.max;
+  if (rule.type === 'dateKey') property.pattern = DATE_KEY.source;
+  if (rule.pattern) property.pattern = rule.pattern.source;
+  if (rule.type === 'array' && rule.items) property.items = ruleToJsonSchema(rule.items);
+  if (rule.minItems) property.minItems = rule.minItems;
+  if (rule.maxItems) property.maxItems = rule.maxItems;
+  if (rule.label || rule.message) property.description = rule.message || rule.label;
+  return property;
+}
+
+/**
+ * Turns a schema into a MongoDB $jsonSchema for a collection validator.
+ * Other fields are allowed, since documents carry more than any one request.
+ * @param {Object} schema - Field name to rule
+ * @returns {Object} The $jsonSchema document
+ */
+export function toJsonSchema(schema) {
+  return {
+    bsonType: 'object',
+    required: Object.keys(schema).filter(field => schema[field].required),
+    properties: Object.fromEntries(Object.entries(schema).map(([field, rule]) => [field, ruleToJsonSchema(rule)]))
+  };
+}
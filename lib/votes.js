@@ -0,0 +1,68 @@
+// Helpful / not helpful votes. Each student has at most one vote per
+// review in the votes collection; the review keeps running totals
+// (upVotes, downVotes and helpfulScore = up - down) so the "most helpful"
+// sort is a plain indexed sort rather than a join.
+
+export const VOTE_VALUES = [1, -1, 0]; // Helpful, not helpful, take the vote back
+
+// Swaps in the student's vote and returns the one it replaced. Two first
+// votes at once both try to insert and one loses on the unique
+// reviewId/userId index; by then the vote exists, so the retry updates it.
+async function swapVote(votes, reviewId, userId, value, retried = false) {
+  try {
+    return await votes.findOneAndUpdate(
+      { reviewId, userId },
+      { $set: { value, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, returnDocument: 'before' }
+    );
+  } catch (error) {
+    if (error.code !== 11000 || retried) throw error;
+    return swapVote(votes, reviewId, userId, value, true);
+  }
+}
+
+/**
+ * Records a student's vote on a review and adjusts the review's totals by
+ * the difference from their previous vote.
+ * @param {Db} db - Database handle
+ * @param {ObjectId} reviewId - The review voted on
+ * @param {ObjectId} userId - The voter
+ * @param {number} value - One of VOTE_VALUES
+ * @returns {Promise<{ upVotes: number, downVotes: number, helpfulScore: number }|null>} The new totals, or null if the review is gone
+ */
+export async function castVote(db, reviewId, userId, value) {
+  const votes = db.collection('votes');
+
+  // The vote swap is atomic, so concurrent votes from the same student each
+  // see the vote they replaced and the totals stay consistent
+  const previous = value === 0
+    ? await votes.findOneAndDelete({ reviewId, userId })
+    : await swapVote(votes, reviewId, userId, value);
+  const before = previous ? previous.value : 0;
+
+  const review = await db.collection('reviews').findOneAndUpdate(
+    { _id: reviewId },
+    {
+      $inc: {
+        upVotes: Number(value === 1) - Number(before === 1),
+        downVotes: Number(value === -1) - Number(before === -1),
+        helpfulScore: value - before
+      }
+    },
+    { returnDocument: 'after', projection: { upVotes: 1, downVotes: 1, helpfulScore: 1 } }
+  );
+
+  if (!review) return null;
+  return { upVotes: review.upVotes, downVotes: review.downVotes, helpfulScore: review.helpfulScore };
+}
+
+// The viewer's own votes on a page of reviews, as a map of review id to value
+export async function votesByUser(db, userId, reviewIds) {
+  if (!userId || reviewIds.length === 0) return new Map();
+
+  const votes = await db.collection('votes')
+    .find({ userId, reviewId: { $in: reviewIds } })
+    .project({ reviewId: 1, value: 1 })
+    .toArray();
+  return new Map(votes.map(vote => [vote.reviewId.toString(), vote.value]));
+}
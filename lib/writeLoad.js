@@ -0,0 +1,128 @@
+import { campusHour } from './menus.js';
+
+// Decides when review writes should be batched through the outbox instead
+// of inserted one by one, and counts which way each write went. Load is
+// shared by every server instance through MongoDB:
+//   requestRates - one counter per second of review submissions, kept for
+//                  a few minutes, summed over a sliding window
+//   writeMetrics - direct, batched and fallback writes per hour, for
+//                  /api/admin/write-metrics and the load test
+
+// Submissions per second, averaged over the window, above which direct
+// inserts start to queue up behind each other; check it against the load test
+export const PEAK_RPS = parseFloat(process.env.PEAK_RPS) || 2;
+export const RATE_WINDOW_SECONDS = 10;
+
+// Campus-local rush hours when writes are batched whatever the rate,
+// "HH:MM-HH:MM" comma-separated, e.g. "11:45-12:15,17:30-18:00". None by
+// default: direct inserts answer faster, so only set windows the load test
+// shows direct writes can't keep up with.
+export const RUSH_WINDOWS = parseRushWindows(process.env.RUSH_WINDOWS || '');
+
+export const WRITE_MODES = ['direct', 'batched', 'fallback'];
+
+function toHour(time) {
+  const [hours, minutes = '0'] = time.trim().split(':');
+  return Number(hours) + Number(minutes) / 60;
+}
+
+export function parseRushWindows(value) {
+  return value
+    .split(',')
+    .map(range => range.split('-'))
+    .filter(parts => parts.length === 2)
+    .map(([start, end]) => [toHour(start), toHour(end)])
+    .filter(([start, end]) => !isNaN(start) && !isNaN(end) && start < end);
+}
+
+export function isRushHour(date = new Date(), windows = RUSH_WINDOWS) {
+  const hour = campusHour(date);
+  return windows.some(([start, end]) => hour >= start && hour < end);
+}
+
+/**
+ * Counts one review submission and returns the submission rate over the
+ * last RATE_WINDOW_SECONDS, this one included.
+ * @param {Db} db - Database handle
+ * @returns {Promise<number>} Submissions per second
+ */
+export async function recordSubmission(db) {
+  const second = Math.floor(Date.now() / 1000);
+
+  await db.collection('requestRates').updateOne(
+    { _id: `reviews:${second}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date((second + 5 * 60) * 1000) } },
+    { upsert: true }
+  );
+
+  return submissionRate(db, second);
+}
+
+// Review submissions per second over the last RATE_WINDOW_SECONDS
+export async function submissionRate(db, second = Math.floor(Date.now() / 1000)) {
+  const keys = Array.from({ length: RATE_WINDOW_SECONDS }, (_, i) => `reviews:${second - i}`);
+  const buckets = await db.collection('requestRates')
+    .find({ _id: { $in: keys } })
+    .project({ count: 1 })
+    .toArray();
+
+  return buckets.reduce((sum, bucket) => sum + bucket.count, 0) / RATE_WINDOW_SECONDS;
+}
+
+/**
+ * Whether a new review should go through the outbox.
+ * @param {Object} load
+ * @param {number} load.rate - From recordSubmission
+ * @param {boolean} load.backlog - Reviews are already waiting in the outbox
+ * @param {Date} [load.now]
+ * @returns {string|null} Why it's a peak ("backlog", "rate" or "rush"), or null
+ */
+export function peakReason({ rate, backlog, now = new Date() }) {
+  // Queue behind waiting reviews so they are written in order
+  if (backlog) return 'backlog';
+  if (rate >= PEAK_RPS) return 'rate';
+  if (isRushHour(now)) return 'rush';
+  return null;
+}
+
+// Start of the hour a write falls in, as the metrics bucket key
+function hourKey(date) {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+}
+
+// Counts a write as direct, batched (through the outbox at peak) or
+// fallback (queued because a direct insert failed)
+export async function recordWrite(db, mode, reason = null) {
+  const hour = hourKey(new Date());
+  await db.collection('writeMetrics').updateOne(
+    { hour },
+    {
+      $inc: { [mode]: 1, ...(reason && { [`reasons.${reason}`]: 1 }) },
+      $setOnInsert: { expiresAt: new Date(hour.getTime() + 30 * 24 * 60 * 60 * 1000) }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Write counts per hour since a given time, oldest first, with totals.
+ * @param {Db} db - Database handle
+ * @param {Date} since
+ * @returns {Promise<{ hours: Array<Object>, totals: Object }>}
+ */
+export async function writeMetrics(db, since) {
+  const hours = await db.collection('writeMetrics')
+    .find({ hour: { $gte: hourKey(since) } })
+    .project({ _id: 0, expiresAt: 0 })
+    .sort({ hour: 1 })
+    .toArray();
+
+  const totals = Object.fromEntries(WRITE_MODES.map(mode => [
+    mode,
+    hours.reduce((sum, hour) => sum + (hour[mode] || 0), 0)
+  ]));
+
+  return { hours, totals };
+}
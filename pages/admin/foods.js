@@ -0,0 +1,186 @@
+import { useState, useEffect, useCallback } from 'react';
+import Layout from '../../components/Layout';
+import useSession from '../../lib/useSession';
+
+// Admin tool for merging duplicate dishes in the food catalog
+export default function AdminFoodsPage() {
+  const { user, loading: sessionLoading } = useSession();
+  const [foods, setFoods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [station, setStation] = useState('');
+  const [targetId, setTargetId] = useState(null);
+  const [sourceIds, setSourceIds] = useState([]);
+  const [merging, setMerging] = useState(false);
+
+  const fetchFoods = useCallback(async () => {
+    try {
+      const response = await fetch('/api/foods');
+      if (!response.ok) {
+        throw new Error('Failed to fetch foods');
+      }
+      const data = await response.json();
+      setFoods(data.foods);
+    } catch (error) {
+      console.error('Error fetching foods:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFoods();
+  }, [fetchFoods]);
+
+  const stations = [...new Set(foods.map(food => food.station))];
+  const stationFoods = foods.filter(food => food.station === station);
+
+  const selectStation = (value) => {
+    setStation(value);
+    setTargetId(null);
+    setSourceIds([]);
+  };
+
+  const selectTarget = (id) => {
+    setTargetId(id);
+    setSourceIds(prev => prev.filter(sourceId => sourceId !== id));
+  };
+
+  const toggleSource = (id) => {
+    setSourceIds(prev => (prev.includes(id) ? prev.filter(sourceId => sourceId !== id) : [...prev, id]));
+  };
+
+  const handleMerge = async () => {
+    setMerging(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch('/api/foods/merge', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ targetId, sourceIds }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to merge foods');
+      }
+
+      setMessage(`${data.message}. ${data.reviewsUpdated} reviews re-pointed.`);
+      setTargetId(null);
+      setSourceIds([]);
+      await fetchFoods();
+    } catch (error) {
+      console.error('Error merging foods:', error);
+      setError(error.message);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  if (sessionLoading) {
+    return <Layout title="Food Catalog - Rate Lowry" />;
+  }
+
+  if (!user || user.role !== 'admin') {
+    return (
+      <Layout title="Food Catalog - Rate Lowry">
+        <div className="bg-red-50 text-red-600 p-6 rounded-xl border border-red-100">
+          <p>You need an admin account to manage the food catalog.</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout title="Food Catalog - Rate Lowry">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2 font-['Plus_Jakarta_Sans']">Merge Duplicate Foods</h1>
+        <p className="text-gray-600 mb-6">
+          Pick the dish to keep, tick its duplicates, and merge. Reviews and menus are moved to the kept dish
+          and the duplicates&apos; names become aliases.
+        </p>
+
+        {error && (
+          <div className="bg-red-50 text-red-600 p-4 mb-6 rounded-xl border border-red-100">
+            <p>{error}</p>
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-50 text-green-700 p-4 mb-6 rounded-xl border border-green-100">
+            <p>{message}</p>
+          </div>
+        )}
+
+        <select
+          value={station}
+          onChange={(e) => selectStation(e.target.value)}
+          className="w-full md:w-80 px-4 py-3 mb-6 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+        >
+          <option value="">Select a station</option>
+          {stations.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <div className="w-10 h-10 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : station && (
+          <>
+            <table className="w-full text-left mb-6">
+              <thead>
+                <tr className="text-sm text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4">Keep</th>
+                  <th className="py-2 pr-4">Merge</th>
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2">Aliases</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stationFoods.map(food => (
+                  <tr key={food._id} className="border-b border-gray-50">
+                    <td className="py-2 pr-4">
+                      <input
+                        type="radio"
+                        name="target"
+                        checked={targetId === food._id}
+                        onChange={() => selectTarget(food._id)}
+                        className="accent-amber-500"
+                      />
+                    </td>
+                    <td className="py-2 pr-4">
+                      <input
+                        type="checkbox"
+                        checked={sourceIds.includes(food._id)}
+                        disabled={targetId === food._id}
+                        onChange={() => toggleSource(food._id)}
+                        className="accent-amber-500"
+                      />
+                    </td>
+                    <td className="py-2 pr-4 text-gray-800">{food.name}</td>
+                    <td className="py-2 text-sm text-gray-500">{(food.aliases || []).join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <button
+              onClick={handleMerge}
+              disabled={!targetId || sourceIds.length === 0 || merging}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-medium py-3 px-6 rounded-lg shadow-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {merging ? 'Merging...' : `Merge ${sourceIds.length} into selected`}
+            </button>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,411 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Layout from '../../components/Layout';
+import useSession from '../../lib/useSession';
+import { foodPath } from '../../lib/foods';
+import { REPORT_CATEGORIES } from '../../lib/reports';
+
+const QUEUES = [
+  { value: 'new', label: 'New' },
+  { value: 'pending', label: 'Held' },
+  { value: 'flagged', label: 'Flagged' },
+  { value: 'hidden', label: 'Hidden' }
+];
+
+const ACTION_LABELS = {
+  'review.approve': 'Approved',
+  'review.hide': 'Hid',
+  'review.restore': 'Restored',
+  'review.delete': 'Deleted',
+  'review.autohide': 'Auto-hid after reports',
+  'review.hold': 'Held for review',
+  'reviews.clear': 'Cleared all reviews',
+  'station.create': 'Created station',
+  'station.update': 'Edited station',
+  'station.delete': 'Deleted station',
+  'menu.create': 'Created menu',
+  'menu.update': 'Edited menu',
+  'menu.delete': 'Deleted menu',
+  'menu.import': 'Imported menus',
+  'food.merge': 'Merged dishes',
+  'outbox.replay': 'Replayed queued review'
+};
+
+// What an audit entry acted on, in words where the details allow
+function describeTarget({ targetType, targetId, details }) {
+  if (details?.foodItem) return `${details.foodItem} at ${details.station}`;
+  if (targetType === 'menu' && details?.date) return `${details.station} ${details.mealPeriod}, ${details.date}`;
+  if (targetType === 'menu' && details?.filename) return details.filename;
+  if (details?.before?.date) return `${details.before.station} ${details.before.mealPeriod}, ${details.before.date}`;
+  if (targetType === 'station' && details?.station) return details.station;
+  if (targetType === 'collection' && details?.collection) return `${details.deletedCount} ${details.collection}`;
+  return targetId || '—';
+}
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString(undefined, {
+  year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+function ModerationQueue({ queue }) {
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reasons, setReasons] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ queue });
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await fetch(`/api/admin/reviews?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch reviews');
+    }
+    return data;
+  }, [queue]);
+
+  useEffect(() => {
+    const loadQueue = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await fetchPage();
+        setReviews(data.reviews);
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
+      } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQueue();
+  }, [fetchPage]);
+
+  const loadMore = async () => {
+    try {
+      const data = await fetchPage(nextCursor);
+      setReviews(prev => [...prev, ...data.reviews]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleAction = async (review, action) => {
+    setBusyId(review._id);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/admin/reviews?id=${review._id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action, reason: reasons[review._id] || '' }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update review');
+      }
+
+      // Every action moves the review out of the queue it was in
+      setReviews(prev => prev.filter(item => item._id !== review._id));
+      setTotal(prev => prev - 1);
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-10 h-10 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <div className="bg-red-50 text-red-600 p-4 mb-6 rounded-xl border border-red-100">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-gray-600 py-10 text-center">Nothing to review here.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-4">{total} {total === 1 ? 'review' : 'reviews'}</p>
+          <div className="space-y-4">
+            {reviews.map(review => (
+              <div key={review._id} className="bg-gray-50 p-5 rounded-xl border border-gray-100">
+                <div className="flex flex-col md:flex-row gap-4">
+                  {review.imageUrl && (
+                    <a href={review.imageUrl} target="_blank" rel="noopener noreferrer" className="shrink-0">
+                      <img src={review.imageUrl} alt="Review photo" className="w-28 h-28 object-cover rounded-lg border border-gray-200" />
+                    </a>
+                  )}
+                  <div className="flex-grow">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <Link href={foodPath(review.foodItem, review.station)} className="font-bold text-gray-800 hover:text-amber-600">
+                        {review.foodItem}
+                      </Link>
+                      <span className="text-amber-600 text-sm">{review.station}</span>
+                      <span className="text-amber-500">{'★'.repeat(review.rating)}<span className="text-gray-200">{'★'.repeat(5 - review.rating)}</span></span>
+                    </div>
+                    {review.isActive === false && queue === 'flagged' && (
+                      <span className="inline-block bg-red-100 text-red-700 text-xs font-medium px-2 py-1 rounded mb-2">
+                        Hidden automatically until a moderator decides
+                      </span>
+                    )}
+                    {review.contentFlags?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mb-2">
+                        {review.contentFlags.map(flag => (
+                          <span key={flag.check} className="bg-amber-100 text-amber-800 text-xs font-medium px-2 py-1 rounded">
+                            {flag.reason}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-gray-700 mb-3">{review.comment}</p>
+                    <p className="text-sm text-gray-500">
+                      Posted as <span className="font-medium">{review.reviewer}</span>
+                      {review.author && <> by {review.author.displayName} ({review.author.email})</>}
+                      {' '}on {formatDateTime(review.createdAt)}
+                    </p>
+                    {review.moderatedAt && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        {queue === 'hidden' ? 'Hidden' : 'Last moderated'} by {review.moderator || 'unknown'} on {formatDateTime(review.moderatedAt)}
+                        {review.moderationReason && <>: &ldquo;{review.moderationReason}&rdquo;</>}
+                      </p>
+                    )}
+                    {review.reports.length > 0 && (
+                      <div className="mt-3">
+                        <p className="text-sm font-medium text-gray-700">
+                          {review.reports.length} open {review.reports.length === 1 ? 'report' : 'reports'}
+                        </p>
+                        <ul className="text-sm text-gray-600 list-disc ml-5">
+                          {review.reports.map(report => (
+                            <li key={report._id}>
+                              {REPORT_CATEGORIES[report.category] || report.category}
+                              {report.details && <>: &ldquo;{report.details}&rdquo;</>}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex flex-col md:flex-row gap-3 mt-4">
+                  <input
+                    type="text"
+                    value={reasons[review._id] || ''}
+                    onChange={(e) => setReasons(prev => ({ ...prev, [review._id]: e.target.value }))}
+                    placeholder={queue === 'hidden' ? 'Reason for restoring (optional)' : 'Reason (required to hide)'}
+                    maxLength={500}
+                    className="flex-grow px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800 text-sm"
+                  />
+                  {queue === 'hidden' ? (
+                    <button
+                      onClick={() => handleAction(review, 'restore')}
+                      disabled={busyId === review._id}
+                      className="bg-amber-500 hover:bg-amber-600 text-white font-medium py-2 px-5 rounded-lg shadow-sm transition-all disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => handleAction(review, 'approve')}
+                        disabled={busyId === review._id}
+                        className="bg-white border border-gray-200 hover:bg-gray-100 text-gray-700 font-medium py-2 px-5 rounded-lg shadow-sm transition-all disabled:opacity-50"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleAction(review, 'hide')}
+                        disabled={busyId === review._id || !(reasons[review._id] || '').trim()}
+                        className="bg-red-500 hover:bg-red-600 text-white font-medium py-2 px-5 rounded-lg shadow-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Hide
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {nextCursor && (
+            <div className="text-center mt-6">
+              <button onClick={loadMore} className="text-amber-600 hover:text-amber-700 font-medium">
+                Load more
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPage = async (cursor) => {
+    const response = await fetch(`/api/admin/audit${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch audit log');
+    }
+    return data;
+  };
+
+  useEffect(() => {
+    const loadLog = async () => {
+      try {
+        const data = await fetchPage();
+        setEntries(data.entries);
+        setNextCursor(data.nextCursor);
+      } catch (error) {
+        console.error('Error fetching audit log:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLog();
+  }, []);
+
+  const loadMore = async () => {
+    try {
+      const data = await fetchPage(nextCursor);
+      setEntries(prev => [...prev, ...data.entries]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-10 h-10 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <div className="bg-red-50 text-red-600 p-4 mb-6 rounded-xl border border-red-100">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-gray-600 py-10 text-center">No audited actions yet.</p>
+      ) : (
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="text-gray-500 border-b border-gray-100">
+              <th className="py-2 pr-4">When</th>
+              <th className="py-2 pr-4">Who</th>
+              <th className="py-2 pr-4">Action</th>
+              <th className="py-2 pr-4">Target</th>
+              <th className="py-2">Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry._id} className="border-b border-gray-50 align-top">
+                <td className="py-2 pr-4 text-gray-500 whitespace-nowrap">{formatDateTime(entry.createdAt)}</td>
+                <td className="py-2 pr-4 text-gray-800">
+                  {entry.actorName} <span className="text-gray-400">({entry.actorRole})</span>
+                </td>
+                <td className="py-2 pr-4 text-gray-800">{ACTION_LABELS[entry.action] || entry.action}</td>
+                <td className="py-2 pr-4 text-gray-600">{describeTarget(entry)}</td>
+                <td className="py-2 text-gray-600">{entry.reason || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {nextCursor && (
+        <div className="text-center mt-6">
+          <button onClick={loadMore} className="text-amber-600 hover:text-amber-700 font-medium">
+            Load more
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Moderators and admins work through new and flagged reviews here and browse the audit log
+export default function ModerationPage() {
+  const { user, loading: sessionLoading } = useSession();
+  const [tab, setTab] = useState('new');
+
+  if (sessionLoading) {
+    return <Layout title="Moderation - Rate Lowry" />;
+  }
+
+  if (!user || !['moderator', 'admin'].includes(user.role)) {
+    return (
+      <Layout title="Moderation - Rate Lowry">
+        <div className="bg-red-50 text-red-600 p-6 rounded-xl border border-red-100">
+          <p>You need a moderator or admin account to moderate reviews.</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  const tabs = [...QUEUES, { value: 'audit', label: 'Audit log' }];
+
+  return (
+    <Layout title="Moderation - Rate Lowry">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2 font-['Plus_Jakarta_Sans']">Review Moderation</h1>
+        <p className="text-gray-600 mb-6">
+          Approve reviews that are fine, or hide ones that break the rules with a reason. Hidden reviews can be restored.
+        </p>
+
+        <div className="flex flex-wrap gap-2 mb-6 border-b border-gray-100">
+          {tabs.map(item => (
+            <button
+              key={item.value}
+              onClick={() => setTab(item.value)}
+              className={`px-4 py-2 -mb-px border-b-2 font-medium transition-colors ${
+                tab === item.value ? 'border-amber-500 text-amber-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'audit' ? <AuditLog /> : <ModerationQueue key={tab} queue={tab} />}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,64 @@
+import clientPromise from '../../../lib/mongodb';
+import { requireModerator } from '../../../lib/auth';
+import { afterCursor, decodeCursor, pageSize, sortSpec, toPage } from '../../../lib/pagination';
+import { sendValidationError, validateRequest } from '../../../lib/validation';
+import { FIELDS } from '../../../lib/schemas';
+
+const AUDIT_SORT = [['createdAt', -1], ['_id', -1]];
+
+const AUDIT_QUERY = {
+  targetId: { type: 'objectId', message: 'Invalid targetId' },
+  actorId: { type: 'objectId', message: 'Invalid actorId' },
+  // "review" matches every review action, "review.hide" just that one
+  action: { type: 'string', label: 'Action', maxLength: 50, pattern: /^[a-z]+(\.[a-z]+)?$/i },
+  cursor: FIELDS.cursor,
+  limit: FIELDS.limit
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    // Moderators can see who did what, including each other
+    const moderator = await requireModerator(db, req, res);
+    if (!moderator) return;
+
+    const input = validateRequest(req, res, { query: AUDIT_QUERY });
+    if (!input) return;
+    const { targetId, actorId, action, cursor, limit } = input.query;
+
+    const query = {};
+    if (targetId) query.targetId = targetId;
+    if (actorId) query.actorId = actorId;
+    if (action) {
+      query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+    }
+
+    const size = pageSize(limit);
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor, AUDIT_SORT);
+      if (!position) {
+        return sendValidationError(res, { cursor: 'Invalid cursor' });
+      }
+    }
+
+    const docs = await db.collection('auditLog')
+      .find(position ? { ...query, ...afterCursor(position, AUDIT_SORT) } : query)
+      .sort(sortSpec(AUDIT_SORT))
+      .limit(size + 1)
+      .toArray();
+    const { items, nextCursor } = toPage(docs, size, AUDIT_SORT);
+
+    res.status(200).json({ entries: items, nextCursor });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+}
@@ -0,0 +1,112 @@
+import clientPromise from '../../../lib/mongodb';
+import { requireAdmin } from '../../../lib/auth';
+import { recordAudit } from '../../../lib/audit';
+import { afterCursor, decodeCursor, pageSize, sortSpec, toPage } from '../../../lib/pagination';
+import { OUTBOX_STATUSES, processOutbox, replayOutboxEntry } from '../../../lib/reviewOutbox';
+import { sendValidationError, validateRequest } from '../../../lib/validation';
+import { FIELDS } from '../../../lib/schemas';
+
+const OUTBOX_SORT = [['createdAt', -1], ['_id', -1]];
+
+const LIST_QUERY = {
+  status: { type: 'string', label: 'Status', values: OUTBOX_STATUSES, default: 'dead' },
+  cursor: FIELDS.cursor,
+  limit: FIELDS.limit
+};
+
+const REPLAY_QUERY = {
+  id: { type: 'objectId', message: 'Invalid outbox entry ID' }
+};
+
+// GET ?status= lists queued review writes (dead ones by default).
+// POST ?id= replays a dead entry; POST without an id runs a processing pass now.
+export default async function handler(req, res) {
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const admin = await requireAdmin(db, req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const input = validateRequest(req, res, { query: LIST_QUERY });
+      if (!input) return;
+      const { status, cursor, limit } = input.query;
+
+      const size = pageSize(limit);
+      let position = null;
+      if (cursor) {
+        position = decodeCursor(cursor, OUTBOX_SORT);
+        if (!position) {
+          return sendValidationError(res, { cursor: 'Invalid cursor' });
+        }
+      }
+
+      const query = { status };
+      const docs = await db.collection('reviewOutbox')
+        .find(position ? { ...query, ...afterCursor(position, OUTBOX_SORT) } : query)
+        .sort(sortSpec(OUTBOX_SORT))
+        .limit(size + 1)
+        .toArray();
+      const { items, nextCursor } = toPage(docs, size, OUTBOX_SORT);
+
+      const response = { status, entries: items, nextCursor };
+
+      // How many entries are in each state, for the first page only
+      if (!position) {
+        const counts = await db.collection('reviewOutbox').aggregate([
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]).toArray();
+        response.counts = Object.fromEntries(OUTBOX_STATUSES.map(name => [
+          name,
+          counts.find(count => count._id === name)?.count || 0
+        ]));
+      }
+
+      res.status(200).json(response);
+    } else if (req.method === 'POST') {
+      const input = validateRequest(req, res, { query: REPLAY_QUERY });
+      if (!input) return;
+      const { id: entryId } = input.query;
+
+      if (!entryId) {
+        const result = await processOutbox(db);
+        return res.status(200).json({ success: true, written: result.written.length, failed: result.failed });
+      }
+
+      const entry = await replayOutboxEntry(db, entryId);
+
+      if (!entry) {
+        const exists = await db.collection('reviewOutbox').countDocuments({ _id: entryId }, { limit: 1 });
+        return exists
+          ? res.status(409).json({ error: 'Only dead entries can be replayed' })
+          : res.status(404).json({ error: 'Outbox entry not found' });
+      }
+
+      await recordAudit(db, {
+        actor: admin,
+        action: 'outbox.replay',
+        targetType: 'reviewOutbox',
+        targetId: entryId,
+        details: {
+          foodItem: entry.review.foodItem,
+          station: entry.review.station,
+          attempts: entry.attempts,
+          lastError: entry.lastError
+        }
+      });
+
+      // Try it straight away; if it fails again it goes back to retrying
+      const result = await processOutbox(db, { maxBatches: 1 });
+      const written = result.written.some(reviewId => reviewId.equals(entry.review._id));
+
+      res.status(200).json({ success: true, written });
+    } else {
+      res.setHeader('Allow', ['GET', 'POST']);
+      res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Error managing review outbox:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+}
@@ -0,0 +1,121 @@
+import clientPromise from '../../../lib/mongodb';
+import { ObjectId } from 'mongodb';
+import { requireModerator } from '../../../lib/auth';
+import { afterCursor, decodeCursor, pageSize, sortSpec, toPage } from '../../../lib/pagination';
+import { sendValidationError, validateRequest } from '../../../lib/validation';
+import { FIELDS, idParam, required } from '../../../lib/schemas';
+import {
+  MAX_REASON_LENGTH,
+  MODERATION_ACTIONS,
+  isReasonRequired,
+  moderateReview,
+  moderationQueue
+} from '../../../lib/moderation';
+
+const QUEUE_QUERY = {
+  queue: { type: 'string', label: 'Queue', values: ['new', 'pending', 'flagged', 'hidden'], default: 'new' },
+  cursor: FIELDS.cursor,
+  limit: FIELDS.limit
+};
+
+const MODERATE_QUERY = { id: idParam('review ID') };
+const MODERATE_BODY = {
+  action: required({ type: 'string', label: 'Action', values: MODERATION_ACTIONS }),
+  reason: { type: 'string', label: 'Reason', maxLength: MAX_REASON_LENGTH, nullable: true, default: null }
+};
+
+export default async function handler(req, res) {
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const moderator = await requireModerator(db, req, res);
+    if (!moderator) return;
+
+    if (req.method === 'GET') {
+      const input = validateRequest(req, res, { query: QUEUE_QUERY });
+      if (!input) return;
+      const { queue: queueName, cursor, limit } = input.query;
+
+      const queue = moderationQueue(queueName);
+
+      const size = pageSize(limit);
+      let position = null;
+      if (cursor) {
+        position = decodeCursor(cursor, queue.sort);
+        if (!position) {
+          return sendValidationError(res, { cursor: 'Invalid cursor' });
+        }
+      }
+
+      const docs = await db.collection('reviews')
+        .find(position ? { ...queue.filter, ...afterCursor(position, queue.sort) } : queue.filter)
+        .project({ revisions: 0 })
+        .sort(sortSpec(queue.sort))
+        .limit(size + 1)
+        .toArray();
+      const { items, nextCursor } = toPage(docs, size, queue.sort);
+
+      // Moderators see who really wrote a review, even an anonymous one
+      const userIds = [...new Set(items.flatMap(review => [review.userId, review.moderatedBy])
+        .filter(Boolean)
+        .map(id => id.toString()))];
+      const users = await db.collection('users')
+        .find({ _id: { $in: userIds.map(id => new ObjectId(id)) } })
+        .project({ displayName: 1, email: 1 })
+        .toArray();
+      const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+      // What students said when they reported these reviews
+      const openReports = await db.collection('reports')
+        .find({ reviewId: { $in: items.map(review => review._id) }, status: 'open' })
+        .project({ reviewId: 1, category: 1, details: 1, createdAt: 1 })
+        .sort({ createdAt: 1 })
+        .toArray();
+      const reportsByReview = new Map();
+      openReports.forEach(({ reviewId, ...report }) => {
+        const key = reviewId.toString();
+        reportsByReview.set(key, [...(reportsByReview.get(key) || []), report]);
+      });
+
+      res.status(200).json({
+        queue: queueName,
+        reviews: items.map(({ userId, moderatedBy, ...review }) => ({
+          ...review,
+          author: userId ? usersById.get(userId.toString()) || null : null,
+          moderator: moderatedBy ? usersById.get(moderatedBy.toString())?.displayName || null : null,
+          reports: reportsByReview.get(review._id.toString()) || []
+        })),
+        nextCursor,
+        // Only worth counting on the first page, for the tab badge
+        ...(!position && { total: await db.collection('reviews').countDocuments(queue.filter) })
+      });
+    } else if (req.method === 'PATCH') {
+      const input = validateRequest(req, res, { query: MODERATE_QUERY, body: MODERATE_BODY });
+      if (!input) return;
+      const { action, reason } = input.body;
+
+      if (isReasonRequired(action) && !reason) {
+        return sendValidationError(res, { reason: 'A reason is required to hide a review' });
+      }
+
+      const reviewId = input.query.id;
+      const review = await moderateReview(db, reviewId, { action, moderator, reason });
+
+      if (!review) {
+        const exists = await db.collection('reviews').countDocuments({ _id: reviewId }, { limit: 1 });
+        return exists
+          ? res.status(409).json({ error: `This review can't be ${action === 'hide' ? 'hidden' : `${action}d`} in its current state` })
+          : res.status(404).json({ error: 'Review not found' });
+      }
+
+      res.status(200).json({ success: true, review });
+    } else {
+      res.setHeader('Allow', ['GET', 'PATCH']);
+      res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Error moderating reviews:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+}
@@ -0,0 +1,54 @@
+import clientPromise from '../../../lib/mongodb';
+import { requireAdmin } from '../../../lib/auth';
+import { hasPendingReviews } from '../../../lib/reviewOutbox';
+import { PEAK_RPS, RUSH_WINDOWS, isRushHour, peakReason, submissionRate, writeMetrics } from '../../../lib/writeLoad';
+import { validateRequest } from '../../../lib/validation';
+
+const MAX_HOURS = 30 * 24; // Metrics are kept for 30 days
+
+const METRICS_QUERY = {
+  hours: { type: 'integer', label: 'Hours', min: 1, max: MAX_HOURS, default: 24 }
+};
+
+// How review writes went (direct, batched or fallback) per hour, and
+// whether new reviews would be batched right now
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const admin = await requireAdmin(db, req, res);
+    if (!admin) return;
+
+    const input = validateRequest(req, res, { query: METRICS_QUERY });
+    if (!input) return;
+    const { hours } = input.query;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const [metrics, rate, backlog] = await Promise.all([
+      writeMetrics(db, since),
+      submissionRate(db),
+      hasPendingReviews(db)
+    ]);
+
+    res.status(200).json({
+      ...metrics,
+      current: {
+        rate,
+        peakRps: PEAK_RPS,
+        rushWindows: RUSH_WINDOWS.length > 0 ? process.env.RUSH_WINDOWS : null,
+        rushHour: isRushHour(),
+        backlog,
+        peak: peakReason({ rate, backlog })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching write metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch write metrics' });
+  }
+}
@@ -0,0 +1,43 @@
+import clientPromise from '../../../lib/mongodb';
+import { RATE_LIMITS, rateLimit } from '../../../lib/rateLimit';
+import { createSession, publicUser, verifyPassword } from '../../../lib/auth';
+import { validateRequest } from '../../../lib/validation';
+
+// Only presence and type are checked; anything else just fails to match
+const LOGIN_BODY = {
+  email: { type: 'string', label: 'Email', required: true, lowercase: true, maxLength: 254 },
+  password: { type: 'string', label: 'Password', required: true, trim: false, maxLength: 200 }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { body: LOGIN_BODY });
+    if (!input) return;
+    const { email, password } = input.body;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    // Slows down password guessing and mass sign-ups
+    if (!(await rateLimit(db, req, res, RATE_LIMITS.auth))) return;
+
+    const user = await db.collection('users').findOne({ email });
+
+    // Same message for unknown email and wrong password so accounts can't be probed
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+
+    await createSession(db, user._id, res);
+
+    res.status(200).json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+}
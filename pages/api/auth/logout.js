@@ -0,0 +1,21 @@
+import clientPromise from '../../../lib/mongodb';
+import { destroySession } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    await destroySession(db, req, res);
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+}
@@ -0,0 +1,21 @@
+import clientPromise from '../../../lib/mongodb';
+import { getSessionUser, publicUser } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const user = await getSessionUser(db, req);
+
+    res.status(200).json({ user: publicUser(user) });
+  } catch (error) {
+    console.error('Error loading session:', error);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+}
@@ -0,0 +1,63 @@
+import clientPromise from '../../../lib/mongodb';
+import { RATE_LIMITS, rateLimit } from '../../../lib/rateLimit';
+import { createSession, getAllowedDomains, hashPassword, isAllowedEmail, publicUser } from '../../../lib/auth';
+import { sendValidationError, validateRequest } from '../../../lib/validation';
+import { FIELDS, required } from '../../../lib/schemas';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const SIGNUP_BODY = {
+  email: required(FIELDS.email),
+  password: { type: 'string', label: 'Password', required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, maxLength: 200 },
+  displayName: required(FIELDS.displayName)
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { body: SIGNUP_BODY });
+    if (!input) return;
+    const { email: normalizedEmail, password, displayName } = input.body;
+
+    if (!isAllowedEmail(normalizedEmail)) {
+      return sendValidationError(res, {
+        email: `Sign up requires an email address at ${getAllowedDomains().join(' or ')}`
+      });
+    }
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    // Slows down password guessing and mass sign-ups
+    if (!(await rateLimit(db, req, res, RATE_LIMITS.auth))) return;
+
+    const existingUser = await db.collection('users').findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({ error: 'An account with that email already exists' });
+    }
+
+    const newUser = {
+      email: normalizedEmail,
+      displayName,
+      passwordHash: hashPassword(password),
+      role: 'student',
+      createdAt: new Date()
+    };
+
+    const result = await db.collection('users').insertOne(newUser);
+    await createSession(db, result.insertedId, res);
+
+    res.status(201).json({ success: true, user: publicUser({ ...newUser, _id: result.insertedId }) });
+  } catch (error) {
+    // Two sign-ups with the same email at once; the unique index keeps one
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with that email already exists' });
+    }
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+}
@@ -1,24 +1,58 @@
 import clientPromise from '../../lib/mongodb';
+import { consumeConfirmation, issueConfirmation, requireAdmin } from '../../lib/auth';
+import { recordAudit } from '../../lib/audit';
 
+const CLEAR_ACTION = 'reviews.clear';
+
+// Deleting every review takes two requests from the same admin: POST for a
+// confirmation token, then DELETE with it in the X-Confirmation-Token header
 export default async function handler(req, res) {
-  if (req.method !== 'DELETE') {
-    res.setHeader('Allow', ['DELETE']);
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['POST', 'DELETE']);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   }
 
   try {
     const client = await clientPromise;
     const db = client.db('rate_lowry');
-    
+
+    const admin = await requireAdmin(db, req, res);
+    if (!admin) return;
+
+    if (req.method === 'POST') {
+      const reviewCount = await db.collection('reviews').countDocuments();
+      const { token, expiresAt } = await issueConfirmation(db, admin, CLEAR_ACTION);
+
+      return res.status(200).json({
+        message: `This will permanently delete ${reviewCount} reviews. Send DELETE with this token to confirm.`,
+        reviewCount,
+        confirmationToken: token,
+        expiresAt
+      });
+    }
+
+    const confirmed = await consumeConfirmation(db, admin, CLEAR_ACTION, req.headers['x-confirmation-token']);
+    if (!confirmed) {
+      return res.status(403).json({ error: 'A valid confirmation token is required. POST to this endpoint to get one.' });
+    }
+
     // Delete all reviews
     const result = await db.collection('reviews').deleteMany({});
-    
-    res.status(200).json({ 
-      success: true, 
-      message: `${result.deletedCount} reviews deleted successfully` 
+
+    await recordAudit(db, {
+      actor: admin,
+      action: CLEAR_ACTION,
+      targetType: 'collection',
+      targetId: null,
+      details: { collection: 'reviews', deletedCount: result.deletedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} reviews deleted successfully`
     });
   } catch (error) {
     console.error('Error clearing reviews:', error);
     res.status(500).json({ error: 'Failed to clear reviews' });
   }
-} 
\ No newline at end of file
+}
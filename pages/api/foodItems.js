@@ -1,4 +1,15 @@
 import clientPromise from '../../lib/mongodb';
+import { validateRequest } from '../../lib/validation';
+import { FIELDS } from '../../lib/schemas';
+import { findStation } from '../../lib/stations';
+
+const FOOD_ITEMS_QUERY = {
+  station: FIELDS.station,
+  // The station's id (or slug); the home page filters by id so a renamed
+  // station keeps working
+  stationId: { type: 'string', label: 'stationId', maxLength: 100 },
+  refresh: { type: 'boolean', label: 'refresh', default: false }
+};
 
 // Fallback data for when MongoDB is not available (empty for fresh start)
 const fallbackFoodItems = [];
@@ -20,11 +31,14 @@ setInterval(() => {
 export default async function handler(req, res) {
   try {
     if (req.method === 'GET') {
-      const { station, refresh } = req.query;
-      const useCache = refresh !== 'true'; // Allow cache bypass with ?refresh=true
+      const input = validateRequest(req, res, { query: FOOD_ITEMS_QUERY });
+      if (!input) return;
+      const { stationId, refresh } = input.query;
+      let { station } = input.query;
+      const useCache = !refresh; // Allow cache bypass with ?refresh=true
       
       // Create a cache key based on query parameters
-      const cacheKey = `foodItems_${station || 'all'}`;
+      const cacheKey = stationId ? `foodItems_id_${stationId}` : `foodItems_${station || 'all'}`;
       
       // Check if we have a cached response
       if (useCache && cache.has(cacheKey)) {
@@ -45,6 +59,14 @@ export default async function handler(req, res) {
         // Connect to database
         const client = await clientPromise;
         const db = client.db('rate_lowry');
+
+        if (stationId) {
+          const stationDoc = await findStation(db, stationId, { projection: { name: 1 } });
+          if (!stationDoc) {
+            return res.status(404).json({ error: 'Station not found' });
+          }
+          station = stationDoc.name;
+        }
         
         // Build query that only includes active reviews
         let query = { isActive: { $ne: false } };
@@ -82,6 +104,17 @@ export default async function handler(req, res) {
             { $sort: { reviewCount: -1, avgRating: -1 } }
           ]).toArray();
         
+        // Attach catalog slugs for routing. Dishes only known from reviews
+        // written before the catalog existed get null and link by name.
+        const foods = await db.collection('foods')
+          .find({ name: { $in: foodItems.map(item => item.foodItem) } })
+          .project({ name: 1, station: 1, slug: 1 })
+          .toArray();
+        const slugs = new Map(foods.map(food => [`${food.name}|${food.station}`, food.slug]));
+        foodItems.forEach(item => {
+          item.slug = slugs.get(`${item.foodItem}|${item.station}`) || null;
+        });
+        
         responseData = {
           foodItems: foodItems.length > 0 ? foodItems : (station && station !== 'all' ? fallbackFoodItems.filter(item => item.station === station) : fallbackFoodItems),
           total: foodItems.length > 0 ? foodItems.length : fallbackFoodItems.length,
@@ -0,0 +1,56 @@
+import clientPromise from '../../../lib/mongodb';
+import { scoreFoodMatch } from '../../../lib/foods';
+import { validateRequest } from '../../../lib/validation';
+import { FIELDS } from '../../../lib/schemas';
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+const SEARCH_QUERY = {
+  q: { ...FIELDS.foodItem, label: 'Search', default: '' },
+  station: FIELDS.station,
+  limit: { ...FIELDS.limit, default: DEFAULT_LIMIT }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: SEARCH_QUERY });
+    if (!input) return;
+    const { q, station, limit } = input.query;
+    const maxResults = Math.min(limit, MAX_LIMIT);
+
+    if (q.length === 0) {
+      return res.status(200).json({ suggestions: [] });
+    }
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const query = {};
+    if (station && station !== 'all') query.station = station;
+
+    // The catalog is a few hundred dishes at most, so score them all in
+    // memory rather than trying to express typo tolerance as a query
+    const foods = await db.collection('foods')
+      .find(query)
+      .project({ name: 1, slug: 1, station: 1, aliases: 1 })
+      .toArray();
+
+    const suggestions = foods
+      .map(food => ({ ...food, score: scoreFoodMatch(q, food) }))
+      .filter(food => food.score > 0)
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, maxResults)
+      .map(({ _id, name, slug, station }) => ({ _id, name, slug, station }));
+
+    res.status(200).json({ suggestions });
+  } catch (error) {
+    console.error('Error searching foods:', error);
+    res.status(500).json({ error: 'Failed to search foods' });
+  }
+}
@@ -0,0 +1,35 @@
+import clientPromise from '../../lib/mongodb';
+import { validateRequest } from '../../lib/validation';
+import { FIELDS } from '../../lib/schemas';
+
+const FOODS_QUERY = { station: FIELDS.station };
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: FOODS_QUERY });
+    if (!input) return;
+    const { station } = input.query;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const query = {};
+    if (station && station !== 'all') query.station = station;
+
+    const foods = await db.collection('foods')
+      .find(query)
+      .project({ name: 1, slug: 1, station: 1, aliases: 1 })
+      .sort({ station: 1, name: 1 })
+      .toArray();
+
+    res.status(200).json({ foods, total: foods.length });
+  } catch (error) {
+    console.error('Error fetching foods:', error);
+    res.status(500).json({ error: 'Failed to fetch foods' });
+  }
+}
@@ -0,0 +1,45 @@
+import clientPromise from '../../../lib/mongodb';
+import { findFood } from '../../../lib/foods';
+import { validateRequest } from '../../../lib/validation';
+import { FIELDS } from '../../../lib/schemas';
+
+// Old links pass a food name and ?station= instead of a slug
+const FOOD_QUERY = {
+  slug: { type: 'string', label: 'Food', required: true, maxLength: 250 },
+  station: FIELDS.station
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const input = validateRequest(req, res, { query: FOOD_QUERY });
+    if (!input) return;
+    const { slug, station } = input.query;
+
+    const food = await findFood(db, slug, station);
+
+    if (!food) {
+      return res.status(404).json({ error: 'Food not found' });
+    }
+
+    res.status(200).json({
+      food: {
+        _id: food._id,
+        name: food.name,
+        slug: food.slug,
+        station: food.station,
+        aliases: food.aliases || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching food:', error);
+    res.status(500).json({ error: 'Failed to fetch food' });
+  }
+}
@@ -0,0 +1,85 @@
+import clientPromise from '../../../lib/mongodb';
+import { requireAdmin } from '../../../lib/auth';
+import { mergeFoods } from '../../../lib/foods';
+import { recordAudit } from '../../../lib/audit';
+import { sendValidationError, validateRequest } from '../../../lib/validation';
+
+const MERGE_BODY = {
+  targetId: { type: 'objectId', label: 'Target food', required: true },
+  sourceIds: {
+    type: 'array',
+    label: 'Foods to merge',
+    required: true,
+    minItems: 1,
+    maxItems: 100,
+    items: { type: 'objectId' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const admin = await requireAdmin(db, req, res);
+    if (!admin) return;
+
+    const input = validateRequest(req, res, { body: MERGE_BODY });
+    if (!input) return;
+    const { targetId, sourceIds } = input.body;
+
+    if (sourceIds.some(id => id.equals(targetId))) {
+      return sendValidationError(res, { sourceIds: "A food can't be merged into itself" });
+    }
+
+    const target = await db.collection('foods').findOne({ _id: targetId });
+    if (!target) {
+      return res.status(404).json({ error: 'Target food not found' });
+    }
+
+    const sources = await db.collection('foods')
+      .find({ _id: { $in: sourceIds } })
+      .toArray();
+
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({ error: 'One or more foods to merge were not found' });
+    }
+
+    // Merging across stations would misreport where reviewed food was served
+    const otherStation = sources.find(source => source.station !== target.station);
+    if (otherStation) {
+      return res.status(400).json({
+        error: `${otherStation.name} is served at ${otherStation.station}, not ${target.station}`
+      });
+    }
+
+    const result = await mergeFoods(db, target, sources);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: 'food.merge',
+      targetType: 'food',
+      targetId: target._id,
+      details: {
+        foodItem: target.name,
+        station: target.station,
+        merged: sources.map(source => ({ _id: source._id, name: source.name, slug: source.slug })),
+        ...result
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${sources.length} ${sources.length === 1 ? 'food' : 'foods'} into ${target.name}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error merging foods:', error);
+    res.status(500).json({ error: 'Failed to merge foods' });
+  }
+}
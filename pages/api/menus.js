@@ -0,0 +1,199 @@
+import clientPromise from '../../lib/mongodb';
+import { requireAdmin } from '../../lib/auth';
+import { recordAudit } from '../../lib/audit';
+import { MEAL_PERIODS, toDateKey } from '../../lib/menus';
+import { unavailableStation } from '../../lib/stations';
+import { sendValidationError, validateRequest } from '../../lib/validation';
+import { FIELDS, idParam, required } from '../../lib/schemas';
+
+const MENU_FIELDS = {
+  date: { type: 'dateKey', label: 'Date' },
+  mealPeriod: FIELDS.mealPeriod,
+  station: FIELDS.station,
+  items: FIELDS.menuItems
+};
+
+const LIST_QUERY = {
+  date: MENU_FIELDS.date,
+  mealPeriod: FIELDS.mealPeriod,
+  station: FIELDS.station
+};
+
+const CREATE_BODY = Object.fromEntries(Object.entries(MENU_FIELDS).map(([field, rule]) => [field, required(rule)]));
+
+const ID_QUERY = { id: idParam('menu ID') };
+
+// Trim, drop blanks and de-duplicate (case-insensitively) the dishes on a menu
+function cleanItems(items) {
+  const seen = new Set();
+  return items
+    .map(item => (typeof item === 'string' ? item.trim() : ''))
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Checks for POST and PUT beyond the schema. Returns field errors or null.
+async function validateMenu(db, { station, items }) {
+  if (items !== undefined && cleanItems(items).length === 0) {
+    return { items: FIELDS.menuItems.message };
+  }
+  if (station !== undefined) {
+    const stationError = await unavailableStation(db, station);
+    if (stationError) {
+      return { station: stationError };
+    }
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    if (req.method === 'GET') {
+      const input = validateRequest(req, res, { query: LIST_QUERY });
+      if (!input) return;
+      const { date = toDateKey(), mealPeriod, station } = input.query;
+
+      const query = { date };
+      if (mealPeriod) query.mealPeriod = mealPeriod;
+      if (station) query.station = station;
+
+      const menus = await db.collection('menus')
+        .find(query)
+        .project({ createdBy: 0, updatedBy: 0 })
+        .toArray();
+
+      // Breakfast, lunch, dinner order rather than alphabetical
+      menus.sort((a, b) => (
+        MEAL_PERIODS.indexOf(a.mealPeriod) - MEAL_PERIODS.indexOf(b.mealPeriod) ||
+        a.station.localeCompare(b.station)
+      ));
+
+      res.status(200).json({ date, menus });
+    } else if (req.method === 'POST') {
+      const admin = await requireAdmin(db, req, res);
+      if (!admin) return;
+
+      const input = validateRequest(req, res, { body: CREATE_BODY });
+      if (!input) return;
+      const { date, mealPeriod, station, items } = input.body;
+
+      const validationErrors = await validateMenu(db, { station, items });
+      if (validationErrors) {
+        return sendValidationError(res, validationErrors);
+      }
+
+      const existingMenu = await db.collection('menus').findOne({ date, mealPeriod, station });
+      if (existingMenu) {
+        return res.status(409).json({
+          error: `A ${mealPeriod} menu for ${station} on ${date} already exists`,
+          menuId: existingMenu._id
+        });
+      }
+
+      const newMenu = {
+        date,
+        mealPeriod,
+        station,
+        items: cleanItems(items),
+        createdAt: new Date(),
+        createdBy: admin._id
+      };
+
+      const result = await db.collection('menus').insertOne(newMenu);
+
+      await recordAudit(db, {
+        actor: admin,
+        action: 'menu.create',
+        targetType: 'menu',
+        targetId: result.insertedId,
+        details: { date, mealPeriod, station }
+      });
+
+      res.status(201).json({ success: true, menuId: result.insertedId });
+    } else if (req.method === 'PUT') {
+      const admin = await requireAdmin(db, req, res);
+      if (!admin) return;
+
+      const input = validateRequest(req, res, { query: ID_QUERY, body: MENU_FIELDS });
+      if (!input) return;
+      const { date, mealPeriod, station, items } = input.body;
+
+      const validationErrors = await validateMenu(db, { station, items });
+      if (validationErrors) {
+        return sendValidationError(res, validationErrors);
+      }
+
+      const updates = {};
+      if (date !== undefined) updates.date = date;
+      if (mealPeriod !== undefined) updates.mealPeriod = mealPeriod;
+      if (station !== undefined) updates.station = station;
+      if (items !== undefined) updates.items = cleanItems(items);
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No changes to save' });
+      }
+
+      const menuId = input.query.id;
+      const before = await db.collection('menus').findOneAndUpdate(
+        { _id: menuId },
+        { $set: { ...updates, updatedAt: new Date(), updatedBy: admin._id } },
+        { returnDocument: 'before', projection: { _id: 0, date: 1, mealPeriod: 1, station: 1, items: 1 } }
+      );
+
+      if (!before) {
+        return res.status(404).json({ error: 'Menu not found' });
+      }
+
+      await recordAudit(db, {
+        actor: admin,
+        action: 'menu.update',
+        targetType: 'menu',
+        targetId: menuId,
+        details: { before, changes: updates }
+      });
+
+      res.status(200).json({ success: true });
+    } else if (req.method === 'DELETE') {
+      const admin = await requireAdmin(db, req, res);
+      if (!admin) return;
+
+      const input = validateRequest(req, res, { query: ID_QUERY });
+      if (!input) return;
+
+      const menuId = input.query.id;
+      const deleted = await db.collection('menus').findOneAndDelete({ _id: menuId });
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Menu not found' });
+      }
+
+      // Keep the whole menu so a mistaken delete can be put back by hand
+      await recordAudit(db, {
+        actor: admin,
+        action: 'menu.delete',
+        targetType: 'menu',
+        targetId: menuId,
+        details: { date: deleted.date, mealPeriod: deleted.mealPeriod, station: deleted.station, items: deleted.items }
+      });
+
+      res.status(200).json({ success: true, message: 'Menu deleted successfully' });
+    } else {
+      res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+      res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Error processing request:', error);
+    // Two admins saving the same date/meal/station at once
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A menu for that date, meal, and station already exists' });
+    }
+    res.status(500).json({ error: 'An error occurred' });
+  }
+}
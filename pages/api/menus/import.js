@@ -0,0 +1,98 @@
+import { createRouter } from 'next-connect';
+import clientPromise from '../../../lib/mongodb';
+import { menuFileUpload } from '../../../lib/multer';
+import { requireAdmin } from '../../../lib/auth';
+import { recordAudit } from '../../../lib/audit';
+import { applyMenuImport, checkExistingMenus, parseMenuFile, planMenuImport } from '../../../lib/menuImport';
+import { validateRequest } from '../../../lib/validation';
+
+const IMPORT_QUERY = {
+  dryRun: { type: 'boolean', label: 'dryRun', default: false },
+  replace: { type: 'boolean', label: 'replace', default: false }
+};
+
+const router = createRouter();
+
+// Only admins may import menus
+router.use(async (req, res, next) => {
+  const client = await clientPromise;
+  req.db = client.db('rate_lowry');
+  req.admin = await requireAdmin(req.db, req, res);
+  if (req.admin) {
+    return next();
+  }
+});
+
+// Configure multer middleware for single file upload
+router.use(menuFileUpload.single('menu'));
+
+// Handle POST request for menu import. Pass ?dryRun=true to get the
+// report without writing, and ?replace=true to overwrite existing menus.
+router.post(async (req, res) => {
+  try {
+    const input = validateRequest(req, res, { query: IMPORT_QUERY });
+    if (!input) return;
+    const { dryRun, replace } = input.query;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No menu file provided' });
+    }
+
+    const { rows, errors } = parseMenuFile(req.file.originalname, req.file.buffer.toString('utf8'));
+    // Closed stations aren't serving, so their rows are reported as unknown
+    const stationNames = await req.db.collection('stations').distinct('name', { active: { $ne: false } });
+    const plan = await checkExistingMenus(req.db, planMenuImport(rows, stationNames), { replace });
+
+    const report = {
+      dryRun,
+      dishCount: rows.length,
+      menuCount: plan.entries.length,
+      errors: [...errors, ...plan.errors],
+      unknownStations: plan.unknownStations,
+      duplicates: plan.duplicates,
+      entries: plan.entries
+    };
+
+    if (dryRun) {
+      return res.status(200).json(report);
+    }
+
+    const result = await applyMenuImport(req.db, plan.entries, { replace, importedBy: req.admin._id });
+
+    await recordAudit(req.db, {
+      actor: req.admin,
+      action: 'menu.import',
+      targetType: 'menu',
+      targetId: null,
+      details: { filename: req.file.originalname, replace, menuCount: plan.entries.length, ...result }
+    });
+
+    res.status(200).json({ success: true, ...report, ...result });
+  } catch (error) {
+    console.error('Error importing menu:', error);
+    res.status(500).json({ error: 'Failed to import menu' });
+  }
+});
+
+// Catch-all for other HTTP methods
+router.all((req, res) => {
+  res.status(405).json({ error: `Method '${req.method}' Not Allowed` });
+});
+
+export default router.handler({
+  onError: (err, req, res) => {
+    console.error(err);
+    // Rejected by the file filter or size limit
+    if (err.name === 'MulterError' || /menu files/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  },
+});
+
+// Configure Next.js to handle file uploads
+export const config = {
+  api: {
+    bodyParser: false, // Disable the default body parser
+  },
+};
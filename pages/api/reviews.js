@@ -1,67 +1,101 @@
 import clientPromise from '../../lib/mongodb';
-import { ObjectId } from 'mongodb';
+import { getSessionUser, isModerator, requireUser } from '../../lib/auth';
+import { recordAudit } from '../../lib/audit';
+import { runContentChecks } from '../../lib/contentChecks';
+import { recordContentHold } from '../../lib/moderation';
+import { resolveFood } from '../../lib/foods';
+import { unavailableStation } from '../../lib/stations';
+import { getMealPeriod, toDateKey } from '../../lib/menus';
+import { RATE_LIMITS, rateLimit } from '../../lib/rateLimit';
+import { votesByUser } from '../../lib/votes';
+import { BATCH_WAIT_MS, enqueueReview, hasPendingReviews, processOutbox } from '../../lib/reviewOutbox';
+import { peakReason, recordSubmission, recordWrite } from '../../lib/writeLoad';
+import { afterCursor, decodeCursor, pageSize, sortSpec, toPage } from '../../lib/pagination';
+import { sendValidationError, validateRequest } from '../../lib/validation';
+import { FIELDS, idParam, required } from '../../lib/schemas';
+import { FIELD_PRESETS, reviewProjection } from '../../lib/reviewFields';
 
-// In-memory queue for batch processing
-const reviewQueue = [];
-let processingQueue = false;
-const BATCH_SIZE = 10; // Process in batches of 10
-const QUEUE_PROCESS_INTERVAL = 5000; // Process queue every 5 seconds
+// Orders for GET ?sort=. Each ends in _id so cursors have a unique position;
+// ties on rating or helpfulness fall back to newest first.
+const REVIEW_SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  oldest: [['createdAt', 1], ['_id', 1]],
+  highest: [['rating', -1], ['createdAt', -1], ['_id', -1]],
+  lowest: [['rating', 1], ['createdAt', -1], ['_id', -1]],
+  helpful: [['helpfulScore', -1], ['createdAt', -1], ['_id', -1]]
+};
 
-// Process the review queue in batches
-async function processReviewQueue() {
-  if (processingQueue || reviewQueue.length === 0) return;
+const LIST_QUERY = {
+  foodItem: FIELDS.foodItem,
+  station: FIELDS.station,
+  // A comma-separated list of fields, or a named preset; fields wins if both are given
+  fields: { type: 'string', label: 'Fields', maxLength: 500, pattern: /^\w+(\s*,\s*\w+)*$/ },
+  preset: { type: 'string', label: 'Preset', values: Object.keys(FIELD_PRESETS) },
+  cursor: FIELDS.cursor,
+  limit: FIELDS.limit,
+  sort: { type: 'string', label: 'Sort', values: Object.keys(REVIEW_SORTS), default: 'newest' },
+  // One star value or a comma-separated list, e.g. rating=4,5
+  rating: { type: 'string', pattern: /^[1-5](,[1-5])*$/, message: 'Rating filter must be star values between 1 and 5' },
+  hasPhoto: { type: 'boolean', label: 'hasPhoto' },
+  // Any date the Date constructor understands; the page sends the ends of local days
+  from: { type: 'date', label: 'From date' },
+  to: { type: 'date', label: 'To date' }
+};
+
+const CREATE_BODY = {
+  foodItem: required(FIELDS.foodItem),
+  station: required(FIELDS.station),
+  rating: required(FIELDS.rating),
+  comment: required(FIELDS.comment),
+  anonymous: { type: 'boolean', label: 'Anonymous', default: false },
+  imageUrl: { ...FIELDS.imageUrl, default: null }
+};
+
+// Only these fields are editable
+const UPDATE_BODY = {
+  rating: FIELDS.rating,
+  comment: FIELDS.comment,
+  imageUrl: FIELDS.imageUrl
+};
+
+const ID_QUERY = { id: idParam('review ID') };
+
+// Turns the validated GET filter params into query conditions
+function buildReviewFilters({ rating, hasPhoto, from, to }) {
+  const filters = {};
   
-  processingQueue = true;
-  console.log(`Processing review queue. Items: ${reviewQueue.length}`);
+  if (rating) {
+    const ratings = rating.split(',').map(value => parseInt(value, 10));
+    filters.rating = ratings.length === 1 ? ratings[0] : { $in: ratings };
+  }
   
-  try {
-    const client = await clientPromise;
-    const db = client.db('rate_lowry');
-    
-    // Process reviews in batches until the queue is empty
-    while (reviewQueue.length > 0) {
-      const batch = reviewQueue.splice(0, Math.min(BATCH_SIZE, reviewQueue.length));
-      
-      if (batch.length > 0) {
-        // Add createdAt timestamp to each review
-        const reviewsToInsert = batch.map(review => ({
-          ...review,
-          createdAt: review.createdAt || new Date(),
-          isActive: true // For soft delete functionality
-        }));
-        
-        const result = await db.collection('reviews').insertMany(reviewsToInsert);
-    console.log(`Batch processed: ${result.insertedCount} reviews`);
-        
-        // Notify any callbacks waiting for results
-        batch.forEach((review, index) => {
-          const insertedId = Object.values(result.insertedIds)[index];
-          if (review.callback) {
-            review.callback({
-              success: true,
-              reviewId: insertedId,
-              review: { ...reviewsToInsert[index], _id: insertedId }
-            });
-          }
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error processing review queue:', error);
-    // On error, return the items to the queue to try again later
-    const failedReviews = reviewQueue.splice(0);
-    failedReviews.forEach(review => {
-      if (review.callback) {
-        review.callback({ success: false, error: 'Failed to process review' });
-      }
-      });
-  } finally {
-    processingQueue = false;
+  if (hasPhoto === true) {
+    filters.imageUrl = { $nin: [null, ''] };
+  } else if (hasPhoto === false) {
+    filters.imageUrl = { $in: [null, ''] };
+  }
+  
+  if (from || to) {
+    filters.createdAt = {};
+    if (from) filters.createdAt.$gte = from;
+    if (to) filters.createdAt.$lte = to;
   }
+  
+  return filters;
 }
 
-// Start queue processing timer
-setInterval(processReviewQueue, QUEUE_PROCESS_INTERVAL);
+// The 409 body for a second review of the same dish at the same meal. An
+// active review can be edited from the food page; a held or hidden one can't.
+function duplicateReviewError(food, { mealPeriod }, existingReview) {
+  const editable = Boolean(existingReview && existingReview.isActive !== false);
+  return {
+    error: editable
+      ? `You already reviewed ${food.name} at ${mealPeriod} today. Edit that review instead.`
+      : `You already reviewed ${food.name} at ${mealPeriod} today, and that review is with the moderators.`,
+    reviewId: editable ? existingReview._id : null,
+    foodSlug: food.slug
+  };
+}
 
 export default async function handler(req, res) {
   try {
@@ -69,11 +103,16 @@ export default async function handler(req, res) {
     const db = client.db('rate_lowry');
     
     if (req.method === 'GET') {
-      const { foodItem, station, fields } = req.query;
+      const input = validateRequest(req, res, { query: LIST_QUERY });
+      if (!input) return;
+      const { foodItem, station, fields, preset, cursor, limit, sort, from, to } = input.query;
       
       if (!foodItem && !station) {
-        return res.status(400).json({ error: 'At least one filter (foodItem or station) is required' });
-        }
+        return sendValidationError(res, { foodItem: 'At least one filter (foodItem or station) is required' });
+      }
+      if (from && to && from > to) {
+        return sendValidationError(res, { from: 'The from date must be before the to date' });
+      }
         
       // Build query based on provided parameters
       const query = {
@@ -83,111 +122,317 @@ export default async function handler(req, res) {
       if (foodItem) query.foodItem = foodItem;
       if (station) query.station = station;
       
-      // Build projection based on requested fields
-      let projection = {};
-      if (fields) {
-        const requestedFields = fields.split(',');
-        requestedFields.forEach(field => {
-          projection[field.trim()] = 1;
-        });
+      const order = REVIEW_SORTS[sort];
+      const filters = buildReviewFilters(input.query);
+      const filteredQuery = { ...query, ...filters };
+      const isFiltered = Object.keys(filters).length > 0;
+      
+      const size = pageSize(limit);
+      let position = null;
+      if (cursor) {
+        position = decodeCursor(cursor, order);
+        if (!position) {
+          return sendValidationError(res, { cursor: 'Invalid cursor' });
+        }
       }
       
-      // If no specific fields requested, use a default projection that excludes large fields
-      if (Object.keys(projection).length === 0) {
-        projection = {
-          foodItem: 1,
-          station: 1,
-          rating: 1,
-          comment: 1,
-          reviewer: 1, 
-          createdAt: 1,
-          // Exclude potentially large fields like imageUrl, unless specifically requested
-        };
+      // Only allow-listed fields the viewer may see; moderators get more
+      const user = await getSessionUser(db, req);
+      const { projection, status, error: fieldsError } = reviewProjection({ preset, fields }, user);
+      if (status === 400) {
+        return sendValidationError(res, { fields: fieldsError });
+      }
+      if (fieldsError) {
+        return res.status(status).json({ error: fieldsError });
       }
       
-      const reviews = await db.collection('reviews')
-        .find(query)
-        .project(projection)
-        .sort({ createdAt: -1 })
-        .limit(50) // Limit to 50 reviews by default for performance
+      // The author id is needed to flag the viewer's own reviews, but is never sent out.
+      // The sort fields are always fetched because the next cursor is built
+      // from them, but only the requested fields are sent back.
+      // One extra review is read to tell whether another page exists.
+      const sortFields = Object.fromEntries(order.map(([field]) => [field, 1]));
+      const docs = await db.collection('reviews')
+        .find(position ? { ...filteredQuery, ...afterCursor(position, order) } : filteredQuery)
+        .project({ ...projection, ...sortFields, userId: 1 })
+        .sort(sortSpec(order))
+        .limit(size + 1)
         .toArray();
+      const { items, nextCursor } = toPage(docs, size, order);
+      const extraFields = Object.keys(sortFields).filter(field => field !== '_id' && !(field in projection));
+      const myVotes = await votesByUser(db, user?._id, items.map(review => review._id));
+      
+      const response = {
+        reviews: items.map(({ userId, ...review }) => {
+          extraFields.forEach(field => delete review[field]);
+          return {
+            ...review,
+            isOwner: Boolean(user && userId && userId.equals(user._id)),
+            // The viewer's vote: 1, -1, or 0 for none
+            myVote: myVotes.get(review._id.toString()) || 0
+          };
+        }),
+        nextCursor
+      };
+      
+      // Totals cover every review of the dish, not just this page or filter;
+      // only sent with the first page
+      if (!position) {
+        const [summary] = await db.collection('reviews').aggregate([
+          { $match: query },
+          { $group: { _id: null, avgRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+        ]).toArray();
+        response.summary = {
+          avgRating: summary ? summary.avgRating : null,
+          reviewCount: summary ? summary.reviewCount : 0
+        };
+        if (isFiltered) {
+          response.summary.filteredCount = await db.collection('reviews').countDocuments(filteredQuery);
+        }
+      }
       
-      res.status(200).json(reviews);
+      res.status(200).json(response);
     } else if (req.method === 'POST') {
-      const { foodItem, station, rating, comment, reviewer = "Anonymous", imageUrl = null } = req.body;
+      const user = await requireUser(db, req, res);
+      if (!user) return;
+      if (!(await rateLimit(db, req, res, RATE_LIMITS.reviewCreate, user))) return;
+
+      const input = validateRequest(req, res, { body: CREATE_BODY });
+      if (!input) return;
+      const { foodItem, station, rating, comment, anonymous, imageUrl } = input.body;
       
-      // Validate required fields
-      if (!foodItem || !station || !rating || !comment) {
-        return res.status(400).json({ error: 'Food item, station, rating, and comment are required' });
+      // Reviews are only for open stations that exist, so a typo doesn't start a new one
+      const stationError = await unavailableStation(db, station);
+      if (stationError) {
+        return sendValidationError(res, { station: stationError });
       }
       
-      // Validate rating is between 1 and 5
-      if (rating < 1 || rating > 5) {
-        return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+      // Map whatever was typed to the canonical dish so spellings don't split ratings
+      const food = await resolveFood(db, foodItem, station);
+      
+      // One review per student per dish per meal, so nobody can stack ratings.
+      // idx_userId_foodId_mealDate_mealPeriod backs this up against races.
+      const createdAt = new Date();
+      const meal = { mealDate: toDateKey(createdAt), mealPeriod: getMealPeriod(createdAt) };
+      const existingReview = await db.collection('reviews').findOne(
+        { userId: user._id, foodId: food._id, ...meal },
+        { projection: { isActive: 1 } }
+      );
+      if (existingReview) {
+        return res.status(409).json(duplicateReviewError(food, meal, existingReview));
       }
       
+      // Blocked words are masked; anything suspicious waits for a moderator
+      const checked = await runContentChecks(comment, { db, userId: user._id });
+      
       const newReview = {
-        foodItem,
+        foodItem: food.name,
+        foodId: food._id,
         station,
         rating,
-        comment,
-        reviewer,
+        comment: checked.comment,
+        // Always record the author; the public name can still be hidden
+        userId: user._id,
+        reviewer: anonymous ? "Anonymous" : user.displayName,
         imageUrl,
-        createdAt: new Date(),
-        isActive: true  // For soft delete
+        createdAt,
+        ...meal,
+        isActive: !checked.needsReview  // For soft delete, and hidden while pending
       };
       
-      // Check if we're in high load (queue has pending items or simulated peak time)
-      const isPeakTime = reviewQueue.length > 0;
+      if (checked.needsReview) {
+        newReview.moderationStatus = 'pending';
+        newReview.contentFlags = checked.flags;
+      }
+      
+      // Batch through the outbox while submissions arrive faster than direct
+      // inserts keep up with, in a configured rush window, or while earlier
+      // reviews are still waiting there
+      const [rate, backlog] = await Promise.all([recordSubmission(db), hasPendingReviews(db)]);
+      const peak = peakReason({ rate, backlog });
       
-      if (isPeakTime) {
-        // Add to queue for batch processing
-        let resolvePromise;
-        const responsePromise = new Promise(resolve => { resolvePromise = resolve; });
+      let reviewId;
+      let queued = false;
+      
+      if (peak) {
+        const { entryId, reviewId: queuedId } = await enqueueReview(db, newReview);
+        reviewId = queuedId;
+        await recordWrite(db, 'batched', peak);
         
-        reviewQueue.push({
-          ...newReview,
-          callback: resolvePromise
-        });
+        // Give reviews arriving together a moment to join the same batch, then
+        // write it now rather than waiting for a timer, which serverless
+        // instances don't keep running. Another request may write ours.
+        await new Promise(resolve => setTimeout(resolve, BATCH_WAIT_MS));
+        await processOutbox(db, { maxBatches: 1 });
+        const entry = await db.collection('reviewOutbox').findOne(
+          { _id: entryId },
+          { projection: { status: 1, lastError: 1, lastErrorCode: 1 } }
+        );
         
-        // Start processing if it's not already running
-        if (!processingQueue && reviewQueue.length >= BATCH_SIZE) {
-          processReviewQueue();
+        // Dead on the first pass means the write can never succeed
+        if (entry.status === 'dead') {
+          if (entry.lastErrorCode === 11000) {
+            const duplicate = await db.collection('reviews').findOne(
+              { userId: user._id, foodId: food._id, ...meal },
+              { projection: { isActive: 1 } }
+            );
+            return res.status(409).json(duplicateReviewError(food, meal, duplicate));
+          }
+          console.error('Error saving queued review:', entry.lastError);
+          return res.status(500).json({ error: 'Failed to save review' });
         }
-        
-        // Wait for the batch to be processed
-        const result = await responsePromise;
-        return res.status(201).json(result);
+        queued = entry.status !== 'done';
       } else {
         // Direct insert during non-peak times
-        const result = await db.collection('reviews').insertOne(newReview);
-        
-        res.status(201).json({ 
-          success: true, 
-          reviewId: result.insertedId,
-          review: { ...newReview, _id: result.insertedId }
-        });
+        try {
+          const result = await db.collection('reviews').insertOne(newReview);
+          reviewId = result.insertedId;
+          await recordWrite(db, 'direct');
+        } catch (error) {
+          // A second submission that raced past the check above
+          if (error.code === 11000) {
+            const duplicate = await db.collection('reviews').findOne(
+              { userId: user._id, foodId: food._id, ...meal },
+              { projection: { isActive: 1 } }
+            );
+            return res.status(409).json(duplicateReviewError(food, meal, duplicate));
+          }
+          // Keep the review for a retry rather than lose it
+          console.error('Error saving review, queueing it for retry:', error);
+          ({ reviewId } = await enqueueReview(db, newReview));
+          await recordWrite(db, 'fallback');
+          queued = true;
+        }
       }
-    } else if (req.method === 'DELETE') {
-      const { id } = req.query;
       
-      if (!id) {
-        return res.status(400).json({ error: 'Review ID is required' });
+      if (checked.needsReview) {
+        await recordContentHold(db, { ...newReview, _id: reviewId }, checked.flags);
+      }
+      
+      // 202 when the review is safely queued but not written yet
+      res.status(queued ? 202 : 201).json({ 
+        success: true, 
+        reviewId,
+        review: { ...newReview, _id: reviewId },
+        foodSlug: food.slug,
+        queued,
+        // The page tells the author their review is waiting for a moderator
+        pending: checked.needsReview
+      });
+    } else if (req.method === 'PATCH') {
+      const user = await requireUser(db, req, res);
+      if (!user) return;
+      if (!(await rateLimit(db, req, res, RATE_LIMITS.reviewEdit, user))) return;
+      
+      const input = validateRequest(req, res, { query: ID_QUERY, body: UPDATE_BODY });
+      if (!input) return;
+      
+      const review = await db.collection('reviews').findOne({ _id: input.query.id, isActive: { $ne: false } });
+      
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
       }
       
-      // Use soft delete by updating isActive flag instead of removing
-      const result = await db.collection('reviews').updateOne(
-        { _id: new ObjectId(id) },
-        { $set: { isActive: false, deletedAt: new Date() } }
+      if (!review.userId || !review.userId.equals(user._id)) {
+        return res.status(403).json({ error: 'You can only edit your own reviews' });
+      }
+      
+      const updates = {};
+      Object.entries(input.body).forEach(([field, value]) => {
+        if (value !== review[field]) {
+          updates[field] = value;
+        }
+      });
+      
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No changes to save' });
+      }
+      
+      // Edited comments go through the same checks as new ones
+      let heldFlags = null;
+      if (updates.comment !== undefined) {
+        const checked = await runContentChecks(updates.comment, { db, userId: user._id, reviewId: review._id });
+        updates.comment = checked.comment;
+        if (checked.needsReview) {
+          heldFlags = checked.flags;
+          Object.assign(updates, { isActive: false, moderationStatus: 'pending', contentFlags: checked.flags });
+        }
+      }
+      
+      const editedAt = new Date();
+      
+      // Keep the version being replaced so the full history can be shown later.
+      // The filter on editedAt guards against two edits racing each other.
+      const result = await db.collection('reviews').findOneAndUpdate(
+        { _id: review._id, editedAt: review.editedAt || null },
+        {
+          $set: { ...updates, editedAt },
+          $push: {
+            revisions: {
+              rating: review.rating,
+              comment: review.comment,
+              imageUrl: review.imageUrl || null,
+              savedAt: review.editedAt || review.createdAt
+            }
+          }
+        },
+        { returnDocument: 'after', projection: { revisions: 0, userId: 0 } }
       );
       
-      if (result.matchedCount === 0) {
+      if (!result) {
+        return res.status(409).json({ error: 'This review was changed by another request. Please reload and try again.' });
+      }
+      
+      if (heldFlags) {
+        await recordContentHold(db, result, heldFlags);
+      }
+      
+      res.status(200).json({ success: true, review: { ...result, isOwner: true }, pending: Boolean(heldFlags) });
+    } else if (req.method === 'DELETE') {
+      const user = await requireUser(db, req, res);
+      if (!user) return;
+      if (!(await rateLimit(db, req, res, RATE_LIMITS.reviewEdit, user))) return;
+      
+      const input = validateRequest(req, res, { query: ID_QUERY });
+      if (!input) return;
+      
+      const review = await db.collection('reviews').findOne(
+        { _id: input.query.id, isActive: { $ne: false } },
+        { projection: { userId: 1, foodItem: 1, station: 1 } }
+      );
+      
+      if (!review) {
         return res.status(404).json({ error: 'Review not found' });
       }
       
+      const isAuthor = Boolean(review.userId && review.userId.equals(user._id));
+      if (!isAuthor && !isModerator(user)) {
+        return res.status(403).json({ error: 'You can only delete your own reviews' });
+      }
+      
+      // Use soft delete by updating isActive flag instead of removing.
+      // Dropping the meal lets the author post a fresh review of the same meal.
+      await db.collection('reviews').updateOne(
+        { _id: review._id },
+        {
+          $set: { isActive: false, deletedAt: new Date(), deletedBy: user._id },
+          $unset: { mealDate: '', mealPeriod: '' }
+        }
+      );
+      
+      // Authors tidying up their own reviews aren't audited; moderators are
+      if (!isAuthor) {
+        await recordAudit(db, {
+          actor: user,
+          action: 'review.delete',
+          targetType: 'review',
+          targetId: review._id,
+          details: { foodItem: review.foodItem, station: review.station }
+        });
+      }
+      
       res.status(200).json({ success: true, message: 'Review deleted successfully' });
     } else {
-      res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+      res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
       res.status(405).end(`Method ${req.method} Not Allowed`);
     }
   } catch (error) {
@@ -0,0 +1,45 @@
+import clientPromise from '../../../../lib/mongodb';
+import { validateRequest } from '../../../../lib/validation';
+import { idParam } from '../../../../lib/schemas';
+
+const HISTORY_QUERY = { id: idParam('review ID') };
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: HISTORY_QUERY });
+    if (!input) return;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const review = await db.collection('reviews').findOne(
+      { _id: input.query.id, isActive: { $ne: false } },
+      { projection: { rating: 1, comment: 1, imageUrl: 1, createdAt: 1, editedAt: 1, revisions: 1 } }
+    );
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Oldest first, ending with the version currently shown
+    const versions = [
+      ...(review.revisions || []),
+      {
+        rating: review.rating,
+        comment: review.comment,
+        imageUrl: review.imageUrl || null,
+        savedAt: review.editedAt || review.createdAt
+      }
+    ];
+
+    res.status(200).json({ reviewId: review._id, versions });
+  } catch (error) {
+    console.error('Error fetching review history:', error);
+    res.status(500).json({ error: 'Failed to fetch review history' });
+  }
+}
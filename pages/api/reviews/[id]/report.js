@@ -0,0 +1,76 @@
+import clientPromise from '../../../../lib/mongodb';
+import { requireUser } from '../../../../lib/auth';
+import { flagReview } from '../../../../lib/moderation';
+import { RATE_LIMITS, rateLimit } from '../../../../lib/rateLimit';
+import { validateRequest } from '../../../../lib/validation';
+import { FIELDS, idParam, required } from '../../../../lib/schemas';
+
+const REPORT_QUERY = { id: idParam('review ID') };
+const REPORT_BODY = {
+  category: required(FIELDS.reportCategory),
+  details: { ...FIELDS.reportDetails, default: null }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const user = await requireUser(db, req, res);
+    if (!user) return;
+
+    const input = validateRequest(req, res, { query: REPORT_QUERY, body: REPORT_BODY });
+    if (!input) return;
+    const { category, details } = input.body;
+
+    const reviewId = input.query.id;
+    const review = await db.collection('reviews').findOne(
+      { _id: reviewId, isActive: { $ne: false } },
+      { projection: { userId: 1 } }
+    );
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.userId && review.userId.equals(user._id)) {
+      return res.status(400).json({ error: "You can't report your own review" });
+    }
+
+    // One student can't flag their way through the site
+    if (!(await rateLimit(db, req, res, RATE_LIMITS.report, user))) return;
+
+    try {
+      // idx_reports_reviewId_userId makes this the one report per student per review
+      await db.collection('reports').insertOne({
+        reviewId,
+        userId: user._id,
+        category,
+        details,
+        status: 'open',
+        createdAt: new Date()
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'You have already reported this review' });
+      }
+      throw error;
+    }
+
+    const result = await flagReview(db, reviewId);
+
+    res.status(201).json({
+      success: true,
+      // The page removes the review when this is true
+      hidden: Boolean(result && result.autoHidden)
+    });
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    res.status(500).json({ error: 'Failed to report review' });
+  }
+}
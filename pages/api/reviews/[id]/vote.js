@@ -0,0 +1,54 @@
+import clientPromise from '../../../../lib/mongodb';
+import { requireUser } from '../../../../lib/auth';
+import { RATE_LIMITS, rateLimit } from '../../../../lib/rateLimit';
+import { castVote } from '../../../../lib/votes';
+import { validateRequest } from '../../../../lib/validation';
+import { FIELDS, idParam, required } from '../../../../lib/schemas';
+
+const VOTE_QUERY = { id: idParam('review ID') };
+const VOTE_BODY = { value: required(FIELDS.vote) };
+
+// POST { value: 1 } marks a review helpful, -1 not helpful, 0 takes the vote back
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const user = await requireUser(db, req, res);
+    if (!user) return;
+    if (!(await rateLimit(db, req, res, RATE_LIMITS.vote, user))) return;
+
+    const input = validateRequest(req, res, { query: VOTE_QUERY, body: VOTE_BODY });
+    if (!input) return;
+    const { value } = input.body;
+
+    const reviewId = input.query.id;
+    const review = await db.collection('reviews').findOne(
+      { _id: reviewId, isActive: { $ne: false } },
+      { projection: { userId: 1 } }
+    );
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.userId && review.userId.equals(user._id)) {
+      return res.status(400).json({ error: "You can't vote on your own review" });
+    }
+
+    const totals = await castVote(db, reviewId, user._id, value);
+    if (!totals) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.status(200).json({ success: true, myVote: value, ...totals });
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    res.status(500).json({ error: 'Failed to save vote' });
+  }
+}
@@ -0,0 +1,50 @@
+import clientPromise from '../../../lib/mongodb';
+import { ACTIVE_REVIEWS, dishStatsPipeline, toHistogram } from '../../../lib/aggregations';
+import { validateRequest } from '../../../lib/validation';
+import { FIELDS, required } from '../../../lib/schemas';
+
+const DEFAULT_TREND_DAYS = 90;
+const MAX_TREND_DAYS = 365;
+
+const STATS_QUERY = {
+  foodItem: required(FIELDS.foodItem),
+  station: required(FIELDS.station),
+  days: { type: 'integer', label: 'Days', min: 1, max: MAX_TREND_DAYS, default: DEFAULT_TREND_DAYS }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: STATS_QUERY });
+    if (!input) return;
+    const { foodItem, station, days: trendDays } = input.query;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const since = new Date();
+    since.setDate(since.getDate() - trendDays);
+
+    const [stats] = await db.collection('reviews')
+      .aggregate(dishStatsPipeline({ ...ACTIVE_REVIEWS, foodItem, station }, since))
+      .toArray();
+    const summary = stats.summary[0];
+
+    res.status(200).json({
+      foodItem,
+      station,
+      avgRating: summary ? Math.round(summary.avgRating * 10) / 10 : null,
+      reviewCount: summary ? summary.reviewCount : 0,
+      distribution: toHistogram(stats.distribution),
+      trendDays,
+      trend: stats.trend.map(({ date, count, avgRating }) => ({ date, count, avgRating }))
+    });
+  } catch (error) {
+    console.error('Error fetching review stats:', error);
+    res.status(500).json({ error: 'Failed to fetch review stats' });
+  }
+}
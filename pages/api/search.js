@@ -0,0 +1,103 @@
+import clientPromise from '../../lib/mongodb';
+import { buildSnippet, searchTerms } from '../../lib/search';
+import { validateRequest } from '../../lib/validation';
+import { FIELDS } from '../../lib/schemas';
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_REVIEWS = 20;
+const MAX_DISHES = 12;
+
+const SEARCH_QUERY = {
+  q: { type: 'string', label: 'Search query', required: true, maxLength: MAX_QUERY_LENGTH },
+  station: FIELDS.station,
+  minRating: { ...FIELDS.rating, label: 'Minimum rating' }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: SEARCH_QUERY });
+    if (!input) return;
+    const { q: query, station, minRating: minimumRating } = input.query;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    // $text must be in the first $match stage; served by idx_text_foodItem_comment
+    const match = {
+      $text: { $search: query },
+      isActive: { $ne: false }
+    };
+    if (station && station !== 'all') match.station = station;
+    if (minimumRating) match.rating = { $gte: minimumRating };
+
+    const [results] = await db.collection('reviews').aggregate([
+      { $match: match },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1, createdAt: -1 } },
+      { $facet: {
+          // Dishes ranked by their best-matching review, with how many matched
+          dishes: [
+            { $group: {
+                _id: { foodItem: '$foodItem', station: '$station' },
+                score: { $max: '$score' },
+                matchCount: { $sum: 1 },
+                avgRating: { $avg: '$rating' }
+              }
+            },
+            { $sort: { score: -1, matchCount: -1 } },
+            { $limit: MAX_DISHES },
+            { $project: {
+                _id: 0,
+                foodItem: '$_id.foodItem',
+                station: '$_id.station',
+                matchCount: 1,
+                avgRating: { $round: ['$avgRating', 1] }
+              }
+            }
+          ],
+          reviews: [
+            { $limit: MAX_REVIEWS },
+            { $project: { foodItem: 1, station: 1, rating: 1, comment: 1, reviewer: 1, createdAt: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).toArray();
+
+    // Link dishes by catalog slug the same way /api/foodItems does
+    const foods = await db.collection('foods')
+      .find({ name: { $in: [...results.dishes, ...results.reviews].map(item => item.foodItem) } })
+      .project({ name: 1, station: 1, slug: 1 })
+      .toArray();
+    const slugs = new Map(foods.map(food => [`${food.name}|${food.station}`, food.slug]));
+
+    const terms = searchTerms(query);
+
+    res.status(200).json({
+      query,
+      total: results.total[0]?.count || 0,
+      dishes: results.dishes.map(dish => ({
+        ...dish,
+        slug: slugs.get(`${dish.foodItem}|${dish.station}`) || null,
+        highlight: buildSnippet(dish.foodItem, terms)
+      })),
+      reviews: results.reviews.map(review => ({
+        ...review,
+        slug: slugs.get(`${review.foodItem}|${review.station}`) || null,
+        snippet: buildSnippet(review.comment, terms)
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching reviews:', error);
+    // No text index yet: scripts/optimize-indexes.js hasn't been run
+    if (error.code === 27) {
+      return res.status(503).json({ error: 'Search is not available yet' });
+    }
+    res.status(500).json({ error: 'Failed to search' });
+  }
+}
@@ -1,13 +1,27 @@
 import clientPromise from '../../lib/mongodb';
+import { requireAdmin } from '../../lib/auth';
+import { recordAudit } from '../../lib/audit';
+import { slugify } from '../../lib/foods';
+import { DEFAULT_STATIONS, STATION_SORT, nextDisplayOrder } from '../../lib/stations';
+import { sendValidationError, validateRequest } from '../../lib/validation';
+import { FIELDS, required } from '../../lib/schemas';
 
 // Fallback data when MongoDB is not available
-const fallbackStations = [
-  { _id: '1', name: 'Grill Station', createdAt: new Date() },
-  { _id: '2', name: 'Pizza Station', createdAt: new Date() },
-  { _id: '3', name: 'Salad Bar', createdAt: new Date() },
-  { _id: '4', name: 'Asian Station', createdAt: new Date() },
-  { _id: '5', name: 'Dessert Station', createdAt: new Date() },
-];
+const fallbackStations = DEFAULT_STATIONS.map(station => ({ _id: station.slug, ...station }));
+
+const LIST_QUERY = {
+  // Admins can ask for closed stations too
+  includeInactive: { type: 'boolean', label: 'includeInactive', default: false }
+};
+
+const CREATE_BODY = {
+  name: required({ ...FIELDS.station, label: 'Station name' }),
+  slug: FIELDS.slug,
+  displayOrder: FIELDS.displayOrder,
+  description: { ...FIELDS.description, default: null },
+  hours: { ...FIELDS.hours, default: null },
+  active: { ...FIELDS.active, default: true }
+};
 
 export default async function handler(req, res) {
   try {
@@ -15,37 +29,82 @@ export default async function handler(req, res) {
     const db = client.db('rate_lowry');
 
     if (req.method === 'GET') {
+      const input = validateRequest(req, res, { query: LIST_QUERY });
+      if (!input) return;
+
+      const query = {};
+      if (input.query.includeInactive) {
+        const admin = await requireAdmin(db, req, res);
+        if (!admin) return;
+      } else {
+        query.active = { $ne: false };
+      }
+
       try {
-        const stations = await db.collection('stations').find({}).toArray();
-        res.status(200).json(stations.length > 0 ? stations : fallbackStations);
+        const stations = await db.collection('stations')
+          .find(query)
+          .project({ createdBy: 0, updatedBy: 0 })
+          .sort(STATION_SORT)
+          .toArray();
+        res.status(200).json(stations);
       } catch (dbError) {
         console.log('MongoDB not available, using fallback data');
         res.status(200).json(fallbackStations);
       }
     } else if (req.method === 'POST') {
-      const { name } = req.body;
-      
-      if (!name) {
-        return res.status(400).json({ error: 'Station name is required' });
+      const admin = await requireAdmin(db, req, res);
+      if (!admin) return;
+
+      const input = validateRequest(req, res, { body: CREATE_BODY });
+      if (!input) return;
+      const { name, ...fields } = input.body;
+      const slug = fields.slug || slugify(name);
+
+      if (!slug) {
+        return sendValidationError(res, { slug: 'A slug is required when the name has no letters or numbers' });
       }
-      
+
+      const existingStation = await db.collection('stations').findOne({ $or: [{ name }, { slug }] });
+      if (existingStation) {
+        return res.status(409).json({
+          error: existingStation.name === name ? `${name} already exists` : `The slug "${slug}" is taken by ${existingStation.name}`,
+          stationId: existingStation._id
+        });
+      }
+
       const result = await db.collection('stations').insertOne({
+        ...fields,
         name,
-        createdAt: new Date()
+        slug,
+        displayOrder: fields.displayOrder ?? await nextDisplayOrder(db),
+        createdAt: new Date(),
+        createdBy: admin._id
       });
-      
-      res.status(201).json({ success: true, stationId: result.insertedId });
+
+      await recordAudit(db, {
+        actor: admin,
+        action: 'station.create',
+        targetType: 'station',
+        targetId: result.insertedId,
+        details: { station: name, slug }
+      });
+
+      res.status(201).json({ success: true, stationId: result.insertedId, slug });
     } else {
       res.setHeader('Allow', ['GET', 'POST']);
       res.status(405).end(`Method ${req.method} Not Allowed`);
     }
   } catch (error) {
     console.error('Error processing request:', error);
-    // Fallback to mock data
+    // Two admins adding the same station at once
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A station with that name or slug already exists' });
+    }
+    // Fall back to the default stations
     if (req.method === 'GET') {
       res.status(200).json(fallbackStations);
     } else {
       res.status(500).json({ error: 'An error occurred' });
     }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,141 @@
+import clientPromise from '../../../../lib/mongodb';
+import { requireAdmin } from '../../../../lib/auth';
+import { recordAudit } from '../../../../lib/audit';
+import { findStation, stationReferences } from '../../../../lib/stations';
+import { validateRequest } from '../../../../lib/validation';
+import { FIELDS, required } from '../../../../lib/schemas';
+
+// The route param is the station's id, slug or name
+const STATION_QUERY = { station: required({ ...FIELDS.station, label: 'Station', maxLength: 200 }) };
+
+const UPDATE_BODY = {
+  name: { ...FIELDS.station, label: 'Station name' },
+  slug: FIELDS.slug,
+  displayOrder: FIELDS.displayOrder,
+  description: FIELDS.description,
+  hours: FIELDS.hours,
+  active: FIELDS.active
+};
+
+// Counts as words for the 409s, e.g. "12 reviews and 3 menus"
+function describeReferences(references) {
+  const parts = ['reviews', 'menus', 'foods']
+    .filter(collection => references[collection] > 0)
+    .map(collection => `${references[collection]} ${references[collection] === 1 ? collection.slice(0, -1) : collection}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+}
+
+// GET one station; PUT and DELETE require an admin
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const admin = req.method === 'GET' ? null : await requireAdmin(db, req, res);
+    if (req.method !== 'GET' && !admin) return;
+
+    const input = validateRequest(req, res, {
+      query: STATION_QUERY,
+      ...(req.method === 'PUT' && { body: UPDATE_BODY })
+    });
+    if (!input) return;
+
+    const station = await findStation(
+      db,
+      input.query.station,
+      req.method === 'GET' ? { projection: { createdBy: 0, updatedBy: 0 } } : undefined
+    );
+    if (!station) {
+      return res.status(404).json({ error: 'Station not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ station });
+    }
+
+    if (req.method === 'PUT') {
+      const updates = {};
+      Object.entries(input.body).forEach(([field, value]) => {
+        if (value !== station[field]) {
+          updates[field] = value;
+        }
+      });
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No changes to save' });
+      }
+
+      // Reviews, menus and foods store the name, so renaming has to rewrite
+      // them too; that is a migration, run from the command line
+      if (updates.name !== undefined) {
+        const references = await stationReferences(db, station.name);
+        if (references.total > 0) {
+          return res.status(409).json({
+            error: `${station.name} has ${describeReferences(references)} filed under its name. Rename it with: npm run migrate-stations -- rename "${station.name}" "${updates.name}"`,
+            references
+          });
+        }
+      }
+
+      const conflict = (updates.name !== undefined || updates.slug !== undefined) && await db.collection('stations').findOne({
+        _id: { $ne: station._id },
+        $or: [{ name: updates.name ?? station.name }, { slug: updates.slug ?? station.slug }]
+      });
+      if (conflict) {
+        return res.status(409).json({ error: `${conflict.name} already uses that name or slug`, stationId: conflict._id });
+      }
+
+      await db.collection('stations').updateOne(
+        { _id: station._id },
+        { $set: { ...updates, updatedAt: new Date(), updatedBy: admin._id } }
+      );
+
+      await recordAudit(db, {
+        actor: admin,
+        action: 'station.update',
+        targetType: 'station',
+        targetId: station._id,
+        details: {
+          station: updates.name ?? station.name,
+          before: Object.fromEntries(Object.keys(updates).map(field => [field, station[field] ?? null])),
+          changes: updates
+        }
+      });
+
+      return res.status(200).json({ success: true });
+    }
+
+    // Deleting a station still in use would leave reviews pointing at nothing;
+    // close it instead so its reviews and stats stay reachable
+    const references = await stationReferences(db, station.name);
+    if (references.total > 0) {
+      return res.status(409).json({
+        error: `${station.name} has ${describeReferences(references)}. Set it inactive instead of deleting it, or merge it into another station with: npm run migrate-stations -- merge "${station.name}" "<station>"`,
+        references
+      });
+    }
+
+    await db.collection('stations').deleteOne({ _id: station._id });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: 'station.delete',
+      targetType: 'station',
+      targetId: station._id,
+      details: { station: station.name, slug: station.slug || null }
+    });
+
+    res.status(200).json({ success: true, message: `${station.name} deleted` });
+  } catch (error) {
+    console.error('Error managing station:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A station with that name or slug already exists' });
+    }
+    res.status(500).json({ error: 'An error occurred' });
+  }
+}
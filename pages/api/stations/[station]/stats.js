@@ -0,0 +1,93 @@
+import clientPromise from '../../../../lib/mongodb';
+import { stationStatsPipeline } from '../../../../lib/aggregations';
+import { toDateKey } from '../../../../lib/menus';
+import { validateRequest } from '../../../../lib/validation';
+import { FIELDS, required } from '../../../../lib/schemas';
+import { findStation } from '../../../../lib/stations';
+
+const TREND_WEEKS = 12;
+const RANKED_DISHES = 5; // How many dishes to show at each end
+const MIN_RANKED_REVIEWS = 3; // Fewer reviews than this and one opinion decides the rank
+
+// The route param is the station's id, slug or name
+const STATS_QUERY = { station: required({ ...FIELDS.station, maxLength: 200 }) };
+
+// Monday of the current campus week, matching how the trend labels weeks
+function currentWeekKey() {
+  const today = new Date(`${toDateKey()}T00:00:00Z`);
+  today.setUTCDate(today.getUTCDate() - ((today.getUTCDay() + 6) % 7));
+  return today.toISOString().slice(0, 10);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const input = validateRequest(req, res, { query: STATS_QUERY });
+    if (!input) return;
+
+    const client = await clientPromise;
+    const db = client.db('rate_lowry');
+
+    const stationDoc = await findStation(db, input.query.station);
+    // Stations without a document can still have reviews from before it was
+    // removed, and those are only reachable by name
+    const name = stationDoc ? stationDoc.name : input.query.station;
+
+    const since = new Date();
+    since.setDate(since.getDate() - TREND_WEEKS * 7);
+
+    const [stats] = await db.collection('reviews').aggregate(stationStatsPipeline(name, since)).toArray();
+    const summary = stats.summary[0];
+
+    if (!stationDoc && !summary) {
+      return res.status(404).json({ error: 'Station not found' });
+    }
+
+    // Rank only dishes with enough reviews to mean something
+    const ranked = stats.dishes.filter(dish => dish.reviewCount >= MIN_RANKED_REVIEWS);
+    const byRating = (a, b) => b.avgRating - a.avgRating || b.reviewCount - a.reviewCount;
+    const topDishes = [...ranked].sort(byRating).slice(0, RANKED_DISHES);
+    // Small stations would otherwise list the same dishes as both best and worst
+    const bottomDishes = [...ranked]
+      .sort((a, b) => byRating(b, a))
+      .filter(dish => !topDishes.includes(dish))
+      .slice(0, RANKED_DISHES);
+
+    // Link dishes by catalog slug the same way /api/foodItems does
+    const foods = await db.collection('foods')
+      .find({ station: name, name: { $in: [...topDishes, ...bottomDishes].map(dish => dish.foodItem) } })
+      .project({ name: 1, slug: 1 })
+      .toArray();
+    const slugs = new Map(foods.map(food => [food.name, food.slug]));
+    const withSlug = dish => ({ ...dish, slug: slugs.get(dish.foodItem) || null });
+
+    res.status(200).json({
+      station: name,
+      stationId: stationDoc ? stationDoc._id : null,
+      slug: stationDoc?.slug || null,
+      description: stationDoc?.description || null,
+      hours: stationDoc?.hours || null,
+      active: stationDoc ? stationDoc.active !== false : false,
+      totalReviews: summary ? summary.totalReviews : 0,
+      averageRating: summary ? summary.averageRating : null,
+      foodItemCount: summary ? summary.foodItemCount : 0,
+      photoCount: summary ? summary.photoCount : 0,
+      firstReviewAt: summary ? summary.oldestReview : null,
+      latestReviewAt: summary ? summary.latestReview : null,
+      daysActive: summary ? summary.daysActive : 0,
+      minRankedReviews: MIN_RANKED_REVIEWS,
+      topDishes: topDishes.map(withSlug),
+      bottomDishes: bottomDishes.map(withSlug),
+      trendWeeks: TREND_WEEKS,
+      currentWeek: currentWeekKey(),
+      trend: stats.trend.map(({ date, count, avgRating }) => ({ date, count, avgRating }))
+    });
+  } catch (error) {
+    console.error('Error fetching station stats:', error);
+    res.status(500).json({ error: 'Failed to fetch station stats' });
+  }
+}
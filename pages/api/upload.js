@@ -1,10 +1,23 @@
 import { createRouter } from 'next-connect';
+import clientPromise from '../../lib/mongodb';
 import upload from '../../lib/multer';
+import { getSessionUser } from '../../lib/auth';
+import { RATE_LIMITS, rateLimit } from '../../lib/rateLimit';
 import { uploadImage } from '../../lib/cloudinary';
 import fs from 'fs';
 
 const router = createRouter();
 
+// Turn away clients over the upload limit before the file is written to disk
+router.use(async (req, res, next) => {
+  const client = await clientPromise;
+  const db = client.db('rate_lowry');
+  const user = await getSessionUser(db, req);
+  if (await rateLimit(db, req, res, RATE_LIMITS.upload, user)) {
+    return next();
+  }
+});
+
 // Configure multer middleware for single file upload
 router.use(upload.single('image'));
 
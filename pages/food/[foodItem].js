@@ -1,16 +1,122 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Layout from '../../components/Layout';
+import EditReviewForm from '../../components/EditReviewForm';
+import ReviewHistory from '../../components/ReviewHistory';
+import RatingHistogram from '../../components/RatingHistogram';
+import RatingSparkline from '../../components/RatingSparkline';
+import ReportReviewForm from '../../components/ReportReviewForm';
+import ReviewVotes from '../../components/ReviewVotes';
+import useSession from '../../lib/useSession';
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'highest', label: 'Highest rated' },
+  { value: 'lowest', label: 'Lowest rated' },
+  { value: 'helpful', label: 'Most helpful' }
+];
 
 export default function FoodItemPage() {
   const router = useRouter();
-  const { foodItem, station } = router.query;
+  // The route segment is the food's slug; older links pass a name and ?station=
+  const { foodItem: foodKey, station: stationParam } = router.query;
+  const [food, setFood] = useState(null);
   const [reviews, setReviews] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [avgRating, setAvgRating] = useState(0);
+  const [reviewCount, setReviewCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [starFilter, setStarFilter] = useState('');
+  const [photosOnly, setPhotosOnly] = useState(false);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [filteredCount, setFilteredCount] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [statsVersion, setStatsVersion] = useState(0);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [editingReviewId, setEditingReviewId] = useState(null);
+  const [historyReviewId, setHistoryReviewId] = useState(null);
+  const [reportingReviewId, setReportingReviewId] = useState(null);
+  const [reportedIds, setReportedIds] = useState([]);
+  // Set when the viewer's own review is waiting for a moderator
+  const [pendingNotice, setPendingNotice] = useState(false);
+  const { user } = useSession();
+
+  const foodItem = food?.name;
+  const station = food?.station;
+
+  // The new review page sends authors here with ?pending=1 when their review was held
+  useEffect(() => {
+    if (router.query.pending) {
+      setPendingNotice(true);
+    }
+  }, [router.query.pending]);
+
+  // ...and with ?edit=<id> when they already reviewed this dish at this meal
+  useEffect(() => {
+    if (router.query.edit) {
+      setEditingReviewId(router.query.edit);
+    }
+  }, [router.query.edit]);
+
+  useEffect(() => {
+    const fetchFood = async () => {
+      if (!foodKey) return;
+      
+      try {
+        const query = stationParam ? `?station=${encodeURIComponent(stationParam)}` : '';
+        const response = await fetch(`/api/foods/${encodeURIComponent(foodKey)}${query}`);
+        
+        if (response.ok) {
+          const data = await response.json();
+          setFood(data.food);
+          
+          // Swap names and merged-away slugs for the canonical URL
+          if (data.food.slug !== foodKey) {
+            router.replace(`/food/${data.food.slug}`, undefined, { shallow: true });
+          }
+        } else if (response.status === 404 && stationParam) {
+          // A dish reviewed before the catalog existed
+          setFood({ name: foodKey, station: stationParam, slug: null });
+        } else {
+          throw new Error(response.status === 404 ? 'Food not found' : 'Failed to fetch food');
+        }
+      } catch (error) {
+        console.error('Error fetching food:', error);
+        setError(error.message);
+        setLoading(false);
+      }
+    };
+    
+    fetchFood();
+  }, [foodKey, stationParam, router]);
+
+  const isFiltered = Boolean(starFilter || photosOnly || fromDate || toDate);
+
+  // Query string for one page of reviews with the current sort and filters
+  const reviewQuery = useCallback((cursor) => {
+    const params = new URLSearchParams({ foodItem, station, preset: 'card', sort });
+    if (starFilter) params.set('rating', starFilter);
+    if (photosOnly) params.set('hasPhoto', 'true');
+    // Date inputs are local calendar days; send the instants they start and end at
+    if (fromDate) params.set('from', new Date(`${fromDate}T00:00:00`).toISOString());
+    if (toDate) params.set('to', new Date(`${toDate}T23:59:59.999`).toISOString());
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+  }, [foodItem, station, sort, starFilter, photosOnly, fromDate, toDate]);
+
+  const clearFilters = () => {
+    setStarFilter('');
+    setPhotosOnly(false);
+    setFromDate('');
+    setToDate('');
+  };
 
   useEffect(() => {
     const fetchReviews = async () => {
@@ -18,22 +124,23 @@ export default function FoodItemPage() {
       
       setLoading(true);
       setError(null);
+      setLoadMoreError(null);
       
       try {
-        const response = await fetch(`/api/reviews?foodItem=${encodeURIComponent(foodItem)}&station=${encodeURIComponent(station)}`);
+        const response = await fetch(`/api/reviews?${reviewQuery()}`);
         
         if (!response.ok) {
           throw new Error('Failed to fetch reviews');
         }
         
         const data = await response.json();
-        setReviews(data);
+        setReviews(data.reviews);
+        setNextCursor(data.nextCursor);
         
-        // Calculate average rating
-        if (data.length > 0) {
-          const total = data.reduce((sum, review) => sum + review.rating, 0);
-          setAvgRating(total / data.length);
-        }
+        // The average and count cover every review, not just the loaded page
+        setAvgRating(data.summary.avgRating || 0);
+        setReviewCount(data.summary.reviewCount);
+        setFilteredCount(data.summary.filteredCount ?? null);
         
         setLoading(false);
       } catch (error) {
@@ -44,7 +151,51 @@ export default function FoodItemPage() {
     };
     
     fetchReviews();
-  }, [foodItem, station]);
+  }, [foodItem, station, reviewQuery]);
+
+  // Charts are secondary, so a failure here only hides them
+  useEffect(() => {
+    const fetchStats = async () => {
+      if (!foodItem || !station) return;
+      
+      try {
+        const response = await fetch(`/api/reviews/stats?foodItem=${encodeURIComponent(foodItem)}&station=${encodeURIComponent(station)}`);
+        
+        if (!response.ok) {
+          throw new Error('Failed to fetch review stats');
+        }
+        
+        setStats(await response.json());
+      } catch (error) {
+        console.error('Error fetching review stats:', error);
+        setStats(null);
+      }
+    };
+    
+    fetchStats();
+  }, [foodItem, station, statsVersion]);
+
+  const loadMoreReviews = async () => {
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    
+    try {
+      const response = await fetch(`/api/reviews?${reviewQuery(nextCursor)}`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch reviews');
+      }
+      
+      const data = await response.json();
+      setReviews(prev => [...prev, ...data.reviews]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Error fetching more reviews:', error);
+      setLoadMoreError('Could not load more reviews. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'short', day: 'numeric' };
@@ -59,6 +210,69 @@ export default function FoodItemPage() {
     setSelectedImage(null);
   };
 
+  const handleReviewSaved = (updatedReview) => {
+    const previous = reviews.find(review => review._id === updatedReview._id);
+    // An edit the content checks held back comes down until a moderator approves it
+    if (updatedReview.isActive === false) {
+      const remaining = reviewCount - 1;
+      setReviews(reviews.filter(review => review._id !== updatedReview._id));
+      setAvgRating(remaining > 0 && previous ? (avgRating * reviewCount - previous.rating) / remaining : 0);
+      setReviewCount(remaining);
+      setStatsVersion(version => version + 1);
+      setEditingReviewId(null);
+      setPendingNotice(true);
+      return;
+    }
+    setReviews(reviews.map(review => (
+      review._id === updatedReview._id ? { ...review, ...updatedReview } : review
+    )));
+    // Adjust the overall average by the changed rating rather than refetching it
+    if (previous && reviewCount > 0) {
+      setAvgRating(avgRating + (updatedReview.rating - previous.rating) / reviewCount);
+    }
+    if (previous && previous.rating !== updatedReview.rating) {
+      setStatsVersion(version => version + 1);
+    }
+    setEditingReviewId(null);
+  };
+
+  const handleVoted = (votedReview, votes) => {
+    setReviews(reviews.map(review => (
+      review._id === votedReview._id ? { ...review, ...votes } : review
+    )));
+  };
+
+  const handleReported = (reportedReview, hidden) => {
+    setReportingReviewId(null);
+    setReportedIds(prev => [...prev, reportedReview._id]);
+    // Enough reports take a review down until a moderator looks at it
+    if (hidden) {
+      setReviews(reviews.filter(review => review._id !== reportedReview._id));
+    }
+  };
+
+  const handleDeleteReview = async (deletedReview) => {
+    if (!window.confirm('Delete this review? This cannot be undone.')) return;
+    
+    try {
+      const response = await fetch(`/api/reviews?id=${deletedReview._id}`, { method: 'DELETE' });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete review');
+      }
+      
+      setReviews(reviews.filter(review => review._id !== deletedReview._id));
+      const remaining = reviewCount - 1;
+      setAvgRating(remaining > 0 ? (avgRating * reviewCount - deletedReview.rating) / remaining : 0);
+      setReviewCount(remaining);
+      setStatsVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      window.alert(error.message);
+    }
+  };
+
   return (
     <Layout
       title={foodItem ? `${foodItem} at ${station} - Rate Lowry` : 'Food Details - Rate Lowry'}
@@ -99,7 +313,7 @@ export default function FoodItemPage() {
                 {avgRating ? avgRating.toFixed(1) : 'N/A'}
               </span>
               <span className="ml-2 text-gray-500">
-                ({reviews.length} {reviews.length === 1 ? 'review' : 'reviews'})
+                ({reviewCount} {reviewCount === 1 ? 'review' : 'reviews'})
               </span>
             </div>
           </div>
@@ -120,6 +334,23 @@ export default function FoodItemPage() {
         </div>
       </div>
       
+      {stats && stats.reviewCount > 0 && (
+        <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100 mb-8 grid grid-cols-1 md:grid-cols-2 gap-8">
+          <div>
+            <h2 className="text-lg font-bold mb-4 text-gray-800 font-['Plus_Jakarta_Sans']">Rating breakdown</h2>
+            <RatingHistogram
+              distribution={stats.distribution}
+              selected={starFilter}
+              onSelect={setStarFilter}
+            />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold mb-4 text-gray-800 font-['Plus_Jakarta_Sans']">Rating over time</h2>
+            <RatingSparkline trend={stats.trend} days={stats.trendDays} />
+          </div>
+        </div>
+      )}
+      
       {/* Reviews Section */}
       <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100 relative">
         <div className="absolute inset-0 bg-[url('https://www.transparenttextures.com/patterns/cubes.png')] opacity-5 rounded-2xl"></div>
@@ -131,6 +362,87 @@ export default function FoodItemPage() {
             Reviews
           </h2>
           
+          {pendingNotice && (
+            <div className="bg-amber-50 text-amber-800 p-4 mb-6 rounded-xl border border-amber-100 flex justify-between items-start gap-4">
+              <p>Thanks! Your review will appear here once a moderator has checked it.</p>
+              <button onClick={() => setPendingNotice(false)} className="text-amber-600 hover:text-amber-700 font-medium text-sm">
+                Dismiss
+              </button>
+            </div>
+          )}
+          
+          {(reviewCount > 0 || isFiltered) && (
+            <div className="flex flex-wrap items-end gap-4 mb-6 text-sm">
+              <label className="flex flex-col text-gray-600">
+                Sort by
+                <select
+                  value={sort}
+                  onChange={(e) => setSort(e.target.value)}
+                  className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+                >
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Stars
+                <select
+                  value={starFilter}
+                  onChange={(e) => setStarFilter(e.target.value)}
+                  className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+                >
+                  <option value="">All</option>
+                  {[5, 4, 3, 2, 1].map(value => (
+                    <option key={value} value={value}>{value} {value === 1 ? 'star' : 'stars'}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-gray-600">
+                From
+                <input
+                  type="date"
+                  value={fromDate}
+                  max={toDate || undefined}
+                  onChange={(e) => setFromDate(e.target.value)}
+                  className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                To
+                <input
+                  type="date"
+                  value={toDate}
+                  min={fromDate || undefined}
+                  onChange={(e) => setToDate(e.target.value)}
+                  className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+                />
+              </label>
+              <label className="flex items-center text-gray-700 py-2">
+                <input
+                  type="checkbox"
+                  checked={photosOnly}
+                  onChange={(e) => setPhotosOnly(e.target.checked)}
+                  className="mr-2 accent-amber-500"
+                />
+                With photos
+              </label>
+              {isFiltered && (
+                <button
+                  onClick={clearFilters}
+                  className="py-2 text-amber-600 hover:text-amber-700 font-medium"
+                >
+                  Clear filters
+                </button>
+              )}
+              {isFiltered && filteredCount !== null && !loading && (
+                <span className="py-2 text-gray-500 md:ml-auto">
+                  {filteredCount} of {reviewCount} {reviewCount === 1 ? 'review' : 'reviews'} match
+                </span>
+              )}
+            </div>
+          )}
+          
           {loading ? (
             <div className="flex justify-center py-16">
               <div className="w-12 h-12 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
@@ -145,6 +457,16 @@ export default function FoodItemPage() {
               </div>
               <p>Oops! Something went wrong: {error}</p>
             </div>
+          ) : reviews.length === 0 && isFiltered ? (
+            <div className="text-center py-12 bg-gray-50 rounded-xl border border-gray-100">
+              <p className="text-gray-600 mb-4">No reviews match these filters.</p>
+              <button
+                onClick={clearFilters}
+                className="text-amber-600 hover:text-amber-700 font-medium"
+              >
+                Clear filters
+              </button>
+            </div>
           ) : reviews.length === 0 ? (
             <div className="text-center py-16 bg-gray-50 rounded-xl border border-gray-100">
               <div className="text-6xl mb-4">🍽️</div>
@@ -181,16 +503,50 @@ export default function FoodItemPage() {
                     </div>
                   )}
                   
-                  <div className="flex items-center mb-3">
-                    <div className="flex text-amber-500 mr-2 text-xl">
-                      {[1, 2, 3, 4, 5].map((star) => (
-                        <span key={star} className={star <= review.rating ? "" : "text-gray-200"}>★</span>
-                      ))}
+                  {editingReviewId === review._id ? (
+                    <div className="mb-4">
+                      <EditReviewForm
+                        review={review}
+                        onSaved={handleReviewSaved}
+                        onCancel={() => setEditingReviewId(null)}
+                      />
                     </div>
-                    <span className="text-gray-700 font-medium ml-1">{review.rating}/5</span>
-                  </div>
-                  
-                  <p className="text-gray-700 mb-4 text-lg">{review.comment}</p>
+                  ) : (
+                    <>
+                      <div className="flex items-center mb-3">
+                        <div className="flex text-amber-500 mr-2 text-xl">
+                          {[1, 2, 3, 4, 5].map((star) => (
+                            <span key={star} className={star <= review.rating ? "" : "text-gray-200"}>★</span>
+                          ))}
+                        </div>
+                        <span className="text-gray-700 font-medium ml-1">{review.rating}/5</span>
+                        {review.isOwner && (
+                          <button
+                            onClick={() => setEditingReviewId(review._id)}
+                            className="ml-auto text-sm text-amber-600 hover:text-amber-700 font-medium"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {review.isOwner && (
+                          <button
+                            onClick={() => handleDeleteReview(review)}
+                            className="ml-4 text-sm text-gray-400 hover:text-red-600 font-medium"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                      
+                      <p className="text-gray-700 mb-4 text-lg">{review.comment}</p>
+                      
+                      <ReviewVotes
+                        review={review}
+                        canVote={Boolean(user) && !review.isOwner}
+                        onVoted={(votes) => handleVoted(review, votes)}
+                      />
+                    </>
+                  )}
                   
                   <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2 text-sm">
                     <div className="flex items-center">
@@ -199,15 +555,63 @@ export default function FoodItemPage() {
                       </div>
                       <span className="font-medium text-gray-700 font-['Plus_Jakarta_Sans']">{review.reviewer}</span>
                     </div>
-                    <span className="text-gray-500">{formatDate(review.createdAt)}</span>
+                    <span className="text-gray-500">
+                      {formatDate(review.createdAt)}
+                      {review.editedAt && (
+                        <button
+                          onClick={() => setHistoryReviewId(review._id)}
+                          className="ml-2 italic text-gray-400 hover:text-amber-600 underline-offset-2 hover:underline"
+                          title={`Edited ${formatDate(review.editedAt)}`}
+                        >
+                          (edited)
+                        </button>
+                      )}
+                      {user && !review.isOwner && (
+                        reportedIds.includes(review._id) ? (
+                          <span className="ml-3 text-gray-400">Reported</span>
+                        ) : (
+                          <button
+                            onClick={() => setReportingReviewId(reportingReviewId === review._id ? null : review._id)}
+                            className="ml-3 text-gray-400 hover:text-red-600"
+                          >
+                            Report
+                          </button>
+                        )
+                      )}
+                    </span>
                   </div>
+                  
+                  {reportingReviewId === review._id && (
+                    <ReportReviewForm
+                      reviewId={review._id}
+                      onReported={(hidden) => handleReported(review, hidden)}
+                      onCancel={() => setReportingReviewId(null)}
+                    />
+                  )}
                 </div>
               ))}
+              
+              {nextCursor && (
+                <div className="text-center pt-2">
+                  <button
+                    onClick={loadMoreReviews}
+                    disabled={loadingMore}
+                    className="bg-white border border-amber-200 text-amber-600 hover:bg-amber-50 font-medium py-3 px-6 rounded-lg shadow-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loadingMore ? 'Loading...' : `Load more reviews (${(isFiltered ? filteredCount : reviewCount) - reviews.length} more)`}
+                  </button>
+                  {loadMoreError && <p className="text-red-600 text-sm mt-2">{loadMoreError}</p>}
+                </div>
+              )}
             </div>
           )}
         </div>
       </div>
       
+      {historyReviewId && (
+        <ReviewHistory reviewId={historyReviewId} onClose={() => setHistoryReviewId(null)} />
+      )}
+      
       {/* Image Modal */}
       {selectedImage && (
         <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4" onClick={closeImageModal}>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import Layout from '../components/Layout';
+import TodayMenu from '../components/TodayMenu';
+import { foodPath } from '../lib/foods';
 
 // Helper function to get food emoji
 const getFoodEmoji = (foodName) => {
@@ -35,6 +37,7 @@ const getFoodEmoji = (foodName) => {
 };
 
 export default function HomePage() {
+  // The selected station's id, or 'all'
   const [selectedStation, setSelectedStation] = useState('all');
   const [stations, setStations] = useState([]);
   const [foodItems, setFoodItems] = useState([]);
@@ -61,6 +64,9 @@ export default function HomePage() {
     fetchStations();
   }, []);
 
+  const currentStation = stations.find(station => station._id === selectedStation);
+  const stationPath = (station) => `/stations/${station.slug || encodeURIComponent(station.name)}`;
+
   // Fetch food items when station changes
   useEffect(() => {
     const fetchFoodItems = async () => {
@@ -70,7 +76,7 @@ export default function HomePage() {
       try {
         const url = selectedStation === 'all' 
           ? '/api/foodItems' 
-          : `/api/foodItems?station=${encodeURIComponent(selectedStation)}`;
+          : `/api/foodItems?stationId=${encodeURIComponent(selectedStation)}`;
           
         const response = await fetch(url);
         
@@ -119,28 +125,55 @@ export default function HomePage() {
               </button>
             
               {stations.map((station) => (
-                <button
+                <div
                   key={station._id}
-                  onClick={() => setSelectedStation(station.name)}
-                  className={`px-4 py-2 rounded-full font-medium transition-all ${
-                    selectedStation === station.name
+                  className={`flex items-center rounded-full font-medium transition-all ${
+                    selectedStation === station._id
                       ? 'bg-white text-amber-600 shadow-md'
-                      : 'bg-amber-400 hover:bg-amber-300 text-white'
+                      : 'bg-amber-400 text-white'
                   }`}
                 >
-                  {station.name}
-                </button>
+                  <button
+                    onClick={() => setSelectedStation(station._id)}
+                    className={`pl-4 pr-2 py-2 rounded-l-full ${selectedStation === station._id ? '' : 'hover:bg-amber-300'}`}
+                  >
+                    {station.name}
+                  </button>
+                  {/* The station's stats page, alongside the filter */}
+                  <Link
+                    href={stationPath(station)}
+                    title={`${station.name} stats`}
+                    aria-label={`${station.name} stats`}
+                    className={`pl-2 pr-3 py-2 rounded-r-full border-l ${
+                      selectedStation === station._id ? 'border-amber-100 hover:bg-amber-50' : 'border-amber-300 hover:bg-amber-300'
+                    }`}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                      <path d="M2 11a1 1 0 011-1h2a1 1 0 011 1v5a1 1 0 01-1 1H3a1 1 0 01-1-1v-5zM8 7a1 1 0 011-1h2a1 1 0 011 1v9a1 1 0 01-1 1H9a1 1 0 01-1-1V7zM14 4a1 1 0 011-1h2a1 1 0 011 1v12a1 1 0 01-1 1h-2a1 1 0 01-1-1V4z" />
+                    </svg>
+                  </Link>
+                </div>
               ))}
             </div>
           </div>
         </div>
       </div>
 
+      <TodayMenu />
+
       <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center font-['Plus_Jakarta_Sans']">
         <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-2 text-amber-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
         </svg>
-        {selectedStation === 'all' ? 'All Food Items' : `Food Items at ${selectedStation}`}
+        {currentStation ? `Food Items at ${currentStation.name}` : 'All Food Items'}
+        {currentStation && (
+          <Link
+            href={stationPath(currentStation)}
+            className="ml-auto text-base font-medium text-amber-600 hover:text-amber-700"
+          >
+            Station stats →
+          </Link>
+        )}
       </h2>
       
       {loading ? (
@@ -162,12 +195,12 @@ export default function HomePage() {
           <div className="text-6xl mb-4">🍽️</div>
           <h3 className="text-2xl font-bold text-gray-700 mb-3 font-['Plus_Jakarta_Sans']">No food items found</h3>
           <p className="text-gray-600 mb-8 max-w-md mx-auto">
-            {selectedStation === 'all' 
-              ? "There are no reviews yet. Be the first to add one!"
-              : `There are no reviews for food at ${selectedStation} yet. Be the first to add a review!`}
+            {currentStation
+              ? `There are no reviews for food at ${currentStation.name} yet. Be the first to add a review!`
+              : "There are no reviews yet. Be the first to add one!"}
           </p>
           <Link 
-            href={selectedStation === 'all' ? '/new' : `/new?station=${encodeURIComponent(selectedStation)}`}
+            href={currentStation ? `/new?station=${encodeURIComponent(currentStation.name)}` : '/new'}
             className="inline-block bg-amber-500 hover:bg-amber-600 text-white font-medium py-3 px-8 rounded-lg shadow-sm transition-all"
           >
             Add First Review
@@ -178,7 +211,7 @@ export default function HomePage() {
           {foodItems.map((item) => (
             <Link
               key={`${item.foodItem}-${item.station}`}
-              href={`/food/${encodeURIComponent(item.foodItem)}?station=${encodeURIComponent(item.station)}`}
+              href={foodPath(item.foodItem, item.station, item.slug)}
               className="bg-white rounded-xl border border-gray-100 overflow-hidden transition-all hover:shadow-lg hover:-translate-y-1 flex flex-col"
             >
               <div className="h-48 bg-gray-100 relative overflow-hidden">
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../components/Layout';
+
+// Only follow relative redirects so ?next= can't send people off-site
+const safeRedirect = (next) => (
+  typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/'
+);
+
+export default function LoginPage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({ email: '', password: '' });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to sign in');
+      }
+
+      // Full navigation so the header picks up the new session
+      window.location.assign(safeRedirect(router.query.next));
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setError(error.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Layout title="Sign In - Rate Lowry" description="Sign in to review food at Lowry dining hall">
+      <div className="max-w-md mx-auto bg-white p-8 rounded-2xl shadow-sm border border-gray-100 relative">
+        <div className="absolute inset-0 bg-[url('https://www.transparenttextures.com/patterns/cubes.png')] opacity-5 rounded-2xl"></div>
+        <div className="relative">
+          <h1 className="text-2xl font-bold text-gray-800 mb-6 font-['Plus_Jakarta_Sans']">Sign In</h1>
+
+          {error && (
+            <div className="bg-red-50 text-red-600 p-4 mb-6 rounded-xl border border-red-100">
+              <p>{error}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="email" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                College Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+                className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
+                placeholder="you@wooster.edu"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="password" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="current-password"
+                className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className={`w-full bg-gradient-to-r from-amber-500 to-yellow-400 hover:from-amber-600 hover:to-yellow-500 text-white font-medium py-3 px-6 rounded-lg transition-all shadow-sm ${
+                loading ? 'opacity-70 cursor-not-allowed' : ''
+              }`}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+
+          <p className="mt-6 text-center text-gray-600">
+            New to Rate Lowry?{' '}
+            <Link
+              href={{ pathname: '/signup', query: router.query.next ? { next: router.query.next } : {} }}
+              className="text-amber-600 hover:text-amber-700 font-medium"
+            >
+              Create an account
+            </Link>
+          </p>
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -2,13 +2,19 @@ import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Layout from '../components/Layout';
+import FoodAutocomplete from '../components/FoodAutocomplete';
+import useSession from '../lib/useSession';
+import { foodPath } from '../lib/foods';
 
 export default function NewReview() {
   const router = useRouter();
+  const { user, loading: sessionLoading } = useSession();
   const { foodItem: initialFoodItem, station: initialStation } = router.query;
   const [stations, setStations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Where to edit the review already posted for this dish and meal, after a 409
+  const [existingReviewPath, setExistingReviewPath] = useState(null);
   const [uploadStatus, setUploadStatus] = useState({ loading: false, error: null });
   const [imagePreview, setImagePreview] = useState(null);
   const fileInputRef = useRef(null);
@@ -18,7 +24,7 @@ export default function NewReview() {
     station: '',
     rating: 3,
     comment: '',
-    reviewer: '',
+    anonymous: false,
     imageUrl: ''
   });
 
@@ -52,13 +58,18 @@ export default function NewReview() {
   }, []);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData({
       ...formData,
-      [name]: name === 'rating' ? parseInt(value, 10) : value
+      [name]: type === 'checkbox' ? checked : name === 'rating' ? parseInt(value, 10) : value
     });
   };
 
+  // Picking a known dish fills in its canonical name and station
+  const handleFoodSelect = (food) => {
+    setFormData(prev => ({ ...prev, foodItem: food.name, station: food.station }));
+  };
+
   const handleImageChange = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -108,30 +119,31 @@ export default function NewReview() {
     e.preventDefault();
     setLoading(true);
     setError(null);
+    setExistingReviewPath(null);
     
     try {
-      // Use "Anonymous" as default if reviewer field is empty
-      const reviewerName = formData.reviewer.trim() || "Anonymous";
-      
       const response = await fetch('/api/reviews', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          ...formData,
-          reviewer: reviewerName,
-          createdAt: new Date()
-        }),
+        body: JSON.stringify(formData),
       });
       
+      const data = await response.json();
+      
+      if (response.status === 409 && data.reviewId) {
+        const path = foodPath(formData.foodItem, formData.station, data.foodSlug);
+        setExistingReviewPath(`${path}${path.includes('?') ? '&' : '?'}edit=${data.reviewId}`);
+      }
+      
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to submit review');
+        throw new Error(data.error || 'Failed to submit review');
       }
       
-      // Redirect to the food item page
-      router.push(`/food/${encodeURIComponent(formData.foodItem)}?station=${encodeURIComponent(formData.station)}`);
+      // Redirect to the food item page, which explains a review held for moderation
+      const path = foodPath(formData.foodItem, formData.station, data.foodSlug);
+      router.push(data.pending ? `${path}${path.includes('?') ? '&' : '?'}pending=1` : path);
     } catch (error) {
       console.error('Error submitting review:', error);
       setError(error.message);
@@ -162,209 +174,234 @@ export default function NewReview() {
                 <span className="font-semibold">Error</span>
               </div>
               <p>{error}</p>
+              {existingReviewPath && (
+                <Link href={existingReviewPath} className="inline-block mt-2 font-medium text-amber-600 hover:text-amber-700">
+                  Edit your review →
+                </Link>
+              )}
             </div>
           )}
           
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="foodItem" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Food Item Name
-              </label>
-              <input
-                type="text"
-                id="foodItem"
-                name="foodItem"
-                value={formData.foodItem}
-                onChange={handleChange}
-                required
-                className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
-                placeholder="e.g., Pizza, Pasta, Salad"
-              />
+          {sessionLoading ? (
+            <div className="flex justify-center py-16">
+              <div className="w-12 h-12 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
             </div>
-            
-            <div>
-              <label htmlFor="station" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Food Station
-              </label>
-              <div className="relative">
-                <select
-                  id="station"
-                  name="station"
-                  value={formData.station}
+          ) : !user ? (
+            <div className="text-center py-12 bg-gray-50 rounded-xl border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-700 mb-3 font-['Plus_Jakarta_Sans']">Sign in to write a review</h3>
+              <p className="text-gray-600 mb-6 max-w-md mx-auto">Reviews are tied to student accounts. You can still choose to post anonymously.</p>
+              <Link
+                href={`/login?next=${encodeURIComponent(router.asPath)}`}
+                className="inline-block bg-amber-500 hover:bg-amber-600 text-white font-medium py-3 px-8 rounded-lg shadow-sm transition-all"
+              >
+                Sign In
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="foodItem" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                  Food Item Name
+                </label>
+                <FoodAutocomplete
+                  id="foodItem"
+                  name="foodItem"
+                  value={formData.foodItem}
                   onChange={handleChange}
+                  onSelect={handleFoodSelect}
+                  station={formData.station}
                   required
-                  className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent appearance-none bg-white text-gray-800"
-                >
-                  <option value="" className="text-gray-800">Select a station</option>
-                  {/* Use hardcoded station options in case the API fails */}
-                  {stations.length > 0 ? (
-                    stations.map((station) => (
-                      <option key={station._id} value={station.name} className="text-gray-800">
-                        {station.name}
-                      </option>
-                    ))
-                  ) : (
-                    ['Garden & Provisions', 'Hearth 66', 'Globe Wooster', 'Lemongrass', 'Zone', 'The Garden', 'The Kitchen Table', 'Mom\'s Kitchen'].map((station) => (
-                      <option key={station} value={station} className="text-gray-800">
-                        {station}
-                      </option>
-                    ))
-                  )}
-                </select>
-                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-3 text-gray-700">
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
-                  </svg>
-                </div>
+                  className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
+                  placeholder="e.g., Pizza, Pasta, Salad"
+                />
               </div>
-            </div>
             
-            <div>
-              <span className="block mb-3 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Your Rating
-              </span>
-              <div className="flex flex-wrap gap-3">
-                {[1, 2, 3, 4, 5].map((value) => (
-                  <label key={value} className="cursor-pointer">
-                    <input
-                      type="radio"
-                      name="rating"
-                      value={value}
-                      checked={formData.rating === value}
-                      onChange={handleChange}
-                      className="sr-only"
-                    />
-                    <div className={`flex items-center justify-center w-12 h-12 text-lg font-bold transition-all rounded-full ${
-                      formData.rating === value 
-                        ? 'bg-gradient-to-br from-amber-500 to-yellow-400 text-white ring-2 ring-amber-300 ring-offset-2'
-                        : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
-                    }`}>
-                      {value}
-                    </div>
-                  </label>
-                ))}
+              <div>
+                <label htmlFor="station" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                  Food Station
+                </label>
+                <div className="relative">
+                  <select
+                    id="station"
+                    name="station"
+                    value={formData.station}
+                    onChange={handleChange}
+                    required
+                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent appearance-none bg-white text-gray-800"
+                  >
+                    <option value="" className="text-gray-800">Select a station</option>
+                    {/* Use hardcoded station options in case the API fails */}
+                    {stations.length > 0 ? (
+                      stations.map((station) => (
+                        <option key={station._id} value={station.name} className="text-gray-800">
+                          {station.name}
+                        </option>
+                      ))
+                    ) : (
+                      ['Garden & Provisions', 'Hearth 66', 'Globe Wooster', 'Lemongrass', 'Zone', 'The Garden', 'The Kitchen Table', 'Mom\'s Kitchen'].map((station) => (
+                        <option key={station} value={station} className="text-gray-800">
+                          {station}
+                        </option>
+                      ))
+                    )}
+                  </select>
+                  <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-3 text-gray-700">
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
+                    </svg>
+                  </div>
+                </div>
               </div>
-            </div>
-            
-            <div>
-              <label htmlFor="comment" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Your Comment
-              </label>
-              <textarea
-                id="comment"
-                name="comment"
-                value={formData.comment}
-                onChange={handleChange}
-                required
-                rows="4"
-                className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
-                placeholder="How was the food? What did you like or dislike about it?"
-              ></textarea>
-            </div>
             
-            <div>
-              <label className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Add Photo <span className="text-gray-500 font-normal">(optional)</span>
-              </label>
-              <div className="space-y-3">
-                {imagePreview ? (
-                  <div className="relative">
-                    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden p-2">
-                      <img 
-                        src={imagePreview} 
-                        alt="Food preview" 
-                        width="800"
-                        height="600"
-                        className="h-auto w-full object-contain"
-                        style={{ maxWidth: '100%', background: 'white', maxHeight: '400px' }}
+              <div>
+                <span className="block mb-3 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                  Your Rating
+                </span>
+                <div className="flex flex-wrap gap-3">
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <label key={value} className="cursor-pointer">
+                      <input
+                        type="radio"
+                        name="rating"
+                        value={value}
+                        checked={formData.rating === value}
+                        onChange={handleChange}
+                        className="sr-only"
                       />
-                      <button
-                        type="button"
-                        onClick={removeImage}
-                        className="absolute top-3 right-3 bg-red-500 text-white p-2 rounded-full hover:bg-red-600 transition-colors shadow-md"
-                      >
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                          <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
-                        </svg>
-                      </button>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="flex items-center justify-center w-full">
-                    <label className="flex flex-col w-full h-48 border-2 border-dashed border-amber-300 rounded-lg cursor-pointer hover:bg-amber-50 transition-colors">
-                      <div className="flex flex-col items-center justify-center pt-5 pb-6">
-                        <svg className="w-14 h-14 mb-3 text-amber-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-                        </svg>
-                        <p className="mb-2 text-sm text-gray-700">
-                          <span className="font-semibold">Click to upload a photo</span> or drag and drop
-                        </p>
-                        <p className="text-xs text-gray-500">PNG, JPG, GIF up to 5MB</p>
+                      <div className={`flex items-center justify-center w-12 h-12 text-lg font-bold transition-all rounded-full ${
+                        formData.rating === value 
+                          ? 'bg-gradient-to-br from-amber-500 to-yellow-400 text-white ring-2 ring-amber-300 ring-offset-2'
+                          : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+                      }`}>
+                        {value}
                       </div>
-                      <input 
-                        type="file" 
-                        className="hidden" 
-                        accept="image/*"
-                        ref={fileInputRef}
-                        onChange={handleImageChange}
-                      />
                     </label>
-                  </div>
-                )}
+                  ))}
+                </div>
+              </div>
+            
+              <div>
+                <label htmlFor="comment" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                  Your Comment
+                </label>
+                <textarea
+                  id="comment"
+                  name="comment"
+                  value={formData.comment}
+                  onChange={handleChange}
+                  required
+                  rows="4"
+                  className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
+                  placeholder="How was the food? What did you like or dislike about it?"
+                ></textarea>
+              </div>
+            
+              <div>
+                <label className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
+                  Add Photo <span className="text-gray-500 font-normal">(optional)</span>
+                </label>
+                <div className="space-y-3">
+                  {imagePreview ? (
+                    <div className="relative">
+                      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden p-2">
+                        <img 
+                          src={imagePreview} 
+                          alt="Food preview" 
+                          width="800"
+                          height="600"
+                          className="h-auto w-full object-contain"
+                          style={{ maxWidth: '100%', background: 'white', maxHeight: '400px' }}
+                        />
+                        <button
+                          type="button"
+                          onClick={removeImage}
+                          className="absolute top-3 right-3 bg-red-500 text-white p-2 rounded-full hover:bg-red-600 transition-colors shadow-md"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-center w-full">
+                      <label className="flex flex-col w-full h-48 border-2 border-dashed border-amber-300 rounded-lg cursor-pointer hover:bg-amber-50 transition-colors">
+                        <div className="flex flex-col items-center justify-center pt-5 pb-6">
+                          <svg className="w-14 h-14 mb-3 text-amber-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+                          </svg>
+                          <p className="mb-2 text-sm text-gray-700">
+                            <span className="font-semibold">Click to upload a photo</span> or drag and drop
+                          </p>
+                          <p className="text-xs text-gray-500">PNG, JPG, GIF up to 5MB</p>
+                        </div>
+                        <input 
+                          type="file" 
+                          className="hidden" 
+                          accept="image/*"
+                          ref={fileInputRef}
+                          onChange={handleImageChange}
+                        />
+                      </label>
+                    </div>
+                  )}
                 
-                {uploadStatus.loading && (
-                  <div className="flex items-center space-x-2 text-amber-600 bg-amber-50 p-3 rounded-lg">
-                    <div className="w-5 h-5 border-2 border-amber-600 border-t-transparent rounded-full animate-spin"></div>
-                    <p>Uploading your image...</p>
-                  </div>
-                )}
+                  {uploadStatus.loading && (
+                    <div className="flex items-center space-x-2 text-amber-600 bg-amber-50 p-3 rounded-lg">
+                      <div className="w-5 h-5 border-2 border-amber-600 border-t-transparent rounded-full animate-spin"></div>
+                      <p>Uploading your image...</p>
+                    </div>
+                  )}
                 
-                {uploadStatus.error && (
-                  <div className="text-red-600 bg-red-50 p-3 rounded-lg">
-                    <p>Error: {uploadStatus.error}</p>
-                  </div>
-                )}
+                  {uploadStatus.error && (
+                    <div className="text-red-600 bg-red-50 p-3 rounded-lg">
+                      <p>Error: {uploadStatus.error}</p>
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
             
-            <div>
-              <label htmlFor="reviewer" className="block mb-2 font-medium text-gray-700 font-['Plus_Jakarta_Sans']">
-                Your Name <span className="text-gray-500 font-normal">(optional)</span>
-              </label>
-              <input
-                type="text"
-                id="reviewer"
-                name="reviewer"
-                value={formData.reviewer}
-                onChange={handleChange}
-                className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent text-gray-800"
-                placeholder="Leave blank to post anonymously"
-              />
-            </div>
+              <div className="flex items-center justify-between bg-amber-50 p-4 rounded-lg">
+                <span className="text-gray-700">
+                  Posting as <span className="font-medium">{formData.anonymous ? 'Anonymous' : user.displayName}</span>
+                </span>
+                <label htmlFor="anonymous" className="flex items-center cursor-pointer text-gray-700">
+                  <input
+                    type="checkbox"
+                    id="anonymous"
+                    name="anonymous"
+                    checked={formData.anonymous}
+                    onChange={handleChange}
+                    className="mr-2 h-4 w-4 accent-amber-500"
+                  />
+                  Post anonymously
+                </label>
+              </div>
             
-            <div className="flex gap-4 pt-4">
-              <button
-                type="submit"
-                disabled={loading || uploadStatus.loading}
-                className={`flex-1 bg-gradient-to-r from-amber-500 to-yellow-400 hover:from-amber-600 hover:to-yellow-500 text-white font-medium py-3 px-6 rounded-lg transition-all shadow-sm ${
-                  (loading || uploadStatus.loading) ? 'opacity-70 cursor-not-allowed' : ''
-                }`}
-              >
-                {loading ? (
-                  <div className="flex items-center justify-center">
-                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
-                    Submitting...
-                  </div>
-                ) : 'Submit Review'}
-              </button>
-              <Link
-                href="/"
-                className="flex-1 bg-white hover:bg-gray-50 text-gray-700 font-medium py-3 px-6 rounded-lg transition-all text-center border border-gray-200"
-              >
-                Cancel
-              </Link>
-            </div>
-          </form>
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="submit"
+                  disabled={loading || uploadStatus.loading}
+                  className={`flex-1 bg-gradient-to-r from-amber-500 to-yellow-400 hover:from-amber-600 hover:to-yellow-500 text-white font-medium py-3 px-6 rounded-lg transition-all shadow-sm ${
+                    (loading || uploadStatus.loading) ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {loading ? (
+                    <div className="flex items-center justify-center">
+                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
+                      Submitting...
+                    </div>
+                  ) : 'Submit Review'}
+                </button>
+                <Link
+                  href="/"
+                  className="flex-1 bg-white hover:bg-gray-50 text-gray-700 font-medium py-3 px-6 rounded-lg transition-all text-center border border-gray-200"
+                >
+                  Cancel
+                </Link>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </Layout>
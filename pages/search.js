@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../components/Layout';
+import { foodPath } from '../lib/foods';
+
+// Renders buildSnippet() segments with the matched words marked
+function Highlighted({ segments }) {
+  return segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="bg-amber-100 text-gray-900 rounded px-0.5">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ));
+}
+
+function Stars({ rating }) {
+  return (
+    <div className="flex text-amber-500">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <span key={star} className={star <= Math.round(rating) ? "" : "text-gray-200"}>★</span>
+      ))}
+    </div>
+  );
+}
+
+export default function SearchPage() {
+  const router = useRouter();
+  const { q = '', station = 'all', minRating = '' } = router.query;
+  const [stations, setStations] = useState([]);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStations = async () => {
+      try {
+        const response = await fetch('/api/stations');
+        if (!response.ok) {
+          throw new Error('Failed to fetch stations');
+        }
+        const data = await response.json();
+        setStations(data);
+      } catch (error) {
+        console.error('Error fetching stations:', error);
+      }
+    };
+
+    fetchStations();
+  }, []);
+
+  useEffect(() => {
+    if (!router.isReady || !q.trim()) {
+      setResults(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const fetchResults = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const params = new URLSearchParams({ q });
+        if (station !== 'all') params.set('station', station);
+        if (minRating) params.set('minRating', minRating);
+
+        const response = await fetch(`/api/search?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to search');
+        }
+        setResults(data);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error searching:', error);
+        setError(error.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchResults();
+    return () => controller.abort();
+  }, [router.isReady, q, station, minRating]);
+
+  // Filters live in the URL so results can be shared and survive a reload
+  const updateFilter = (name, value) => {
+    const query = { ...router.query, [name]: value };
+    if (!value || value === 'all') delete query[name];
+    router.replace({ pathname: '/search', query }, undefined, { shallow: true });
+  };
+
+  return (
+    <Layout title={q ? `"${q}" - Search - Rate Lowry` : 'Search - Rate Lowry'}>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2 font-['Plus_Jakarta_Sans']">
+          {q ? <>Results for &ldquo;{q}&rdquo;</> : 'Search'}
+        </h1>
+        {results && (
+          <p className="text-gray-600">
+            {results.total} matching {results.total === 1 ? 'review' : 'reviews'}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4 mb-8">
+        <select
+          value={station}
+          onChange={(e) => updateFilter('station', e.target.value)}
+          aria-label="Station"
+          className="md:w-64 px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+        >
+          <option value="all">All stations</option>
+          {stations.map(item => (
+            <option key={item._id} value={item.name}>{item.name}</option>
+          ))}
+        </select>
+        <select
+          value={minRating}
+          onChange={(e) => updateFilter('minRating', e.target.value)}
+          aria-label="Minimum rating"
+          className="md:w-64 px-4 py-3 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400 bg-white text-gray-800"
+        >
+          <option value="">Any rating</option>
+          {[5, 4, 3, 2].map(value => (
+            <option key={value} value={value}>{value === 5 ? '5 stars' : `${value}+ stars`}</option>
+          ))}
+        </select>
+      </div>
+
+      {!q.trim() ? (
+        <div className="bg-white p-8 rounded-2xl text-center shadow-sm border border-gray-100">
+          <p className="text-gray-600">Type a dish or something you remember from a review, like &ldquo;spicy&rdquo; or &ldquo;crispy fries&rdquo;.</p>
+        </div>
+      ) : loading ? (
+        <div className="flex justify-center py-20">
+          <div className="w-12 h-12 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 text-red-600 p-6 rounded-xl border border-red-100">
+          <p>{error}</p>
+        </div>
+      ) : results && results.total === 0 ? (
+        <div className="bg-white p-8 rounded-2xl text-center shadow-sm border border-gray-100">
+          <p className="text-gray-600">No reviews match your search. Try fewer words or a different filter.</p>
+        </div>
+      ) : results && (
+        <>
+          <h2 className="text-xl font-bold text-gray-800 mb-4 font-['Plus_Jakarta_Sans']">Dishes</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-10">
+            {results.dishes.map(dish => (
+              <Link
+                key={`${dish.foodItem}-${dish.station}`}
+                href={foodPath(dish.foodItem, dish.station, dish.slug)}
+                className="bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all"
+              >
+                <h3 className="text-lg font-bold text-gray-800 font-['Plus_Jakarta_Sans']">
+                  <Highlighted segments={dish.highlight} />
+                </h3>
+                <div className="text-amber-600 mb-3">{dish.station}</div>
+                <div className="flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    <Stars rating={dish.avgRating} />
+                    <span className="font-bold text-gray-700">{dish.avgRating.toFixed(1)}</span>
+                  </div>
+                  <span className="text-gray-500">
+                    {dish.matchCount} matching {dish.matchCount === 1 ? 'review' : 'reviews'}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+
+          <h2 className="text-xl font-bold text-gray-800 mb-4 font-['Plus_Jakarta_Sans']">Reviews</h2>
+          <div className="space-y-4">
+            {results.reviews.map(review => (
+              <Link
+                key={review._id}
+                href={foodPath(review.foodItem, review.station, review.slug)}
+                className="block bg-white p-5 rounded-xl shadow-sm border border-gray-100 hover:shadow-md transition-all"
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <span className="font-bold text-gray-800">{review.foodItem}</span>
+                    <span className="text-amber-600 ml-2 text-sm">{review.station}</span>
+                  </div>
+                  <Stars rating={review.rating} />
+                </div>
+                {review.comment && (
+                  <p className="text-gray-600 mb-2">
+                    <Highlighted segments={review.snippet} />
+                  </p>
+                )}
+                <div className="text-sm text-gray-400">
+                  {review.reviewer} · {new Date(review.createdAt).toLocaleDateString()}
+                </div>
+              </Link>
+            ))}
+          </div>
+        </>
+      )}
+    </Layout>
+  );
+}
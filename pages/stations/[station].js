@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../../components/Layout';
+import RatingSparkline from '../../components/RatingSparkline';
+import ReviewVolumeChart from '../../components/ReviewVolumeChart';
+import { foodPath } from '../../lib/foods';
+
+function DishRanking({ title, dishes, station, minReviews }) {
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
+      <h2 className="text-lg font-bold mb-4 text-gray-800 font-['Plus_Jakarta_Sans']">{title}</h2>
+      {dishes.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No dishes here have {minReviews} or more reviews yet.
+        </p>
+      ) : (
+        <ol className="space-y-3">
+          {dishes.map(dish => (
+            <li key={dish.foodItem}>
+              <Link
+                href={foodPath(dish.foodItem, station, dish.slug)}
+                className="flex items-center justify-between gap-4 hover:text-amber-600"
+              >
+                <span className="font-medium text-gray-800">{dish.foodItem}</span>
+                <span className="shrink-0 text-sm text-gray-500">
+                  <span className="text-amber-500 mr-1">★</span>
+                  <span className="font-bold text-gray-700">{dish.avgRating.toFixed(1)}</span>
+                  {' '}({dish.reviewCount})
+                </span>
+              </Link>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default function StationPage() {
+  const router = useRouter();
+  const { station } = router.query;
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      if (!station) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(`/api/stations/${encodeURIComponent(station)}/stats`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch station stats');
+        }
+        setStats(data);
+      } catch (error) {
+        console.error('Error fetching station stats:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStats();
+  }, [station]);
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  return (
+    <Layout
+      title={stats ? `${stats.station} - Rate Lowry` : 'Station - Rate Lowry'}
+      description={stats ? `How the food at ${stats.station} is rated` : 'How the food at this station is rated'}
+    >
+      <div className="mb-6">
+        <Link
+          href="/"
+          className="inline-flex items-center text-amber-600 hover:text-amber-700 transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M9.707 16.707a1 1 0 01-1.414 0l-6-6a1 1 0 010-1.414l6-6a1 1 0 011.414 1.414L5.414 9H17a1 1 0 110 2H5.414l4.293 4.293a1 1 0 010 1.414z" clipRule="evenodd" />
+          </svg>
+          Back to All Foods
+        </Link>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <div className="w-12 h-12 border-4 border-amber-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 text-red-600 p-6 rounded-xl border border-red-100">
+          <p>{error}</p>
+        </div>
+      ) : stats && (
+        <>
+          <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100 mb-8">
+            <h1 className="text-3xl font-bold text-gray-800 mb-2 font-['Plus_Jakarta_Sans']">{stats.station}</h1>
+            {stats.description && <p className="text-gray-600 mb-2">{stats.description}</p>}
+            {stats.hours && <p className="text-sm text-gray-500 mb-2">Hours: {stats.hours}</p>}
+            {!stats.active && (
+              <p className="text-sm text-gray-500 mb-2">This station is closed. Its past reviews are kept below.</p>
+            )}
+            {stats.totalReviews === 0 ? (
+              <p className="text-gray-600">Nobody has reviewed food at this station yet.</p>
+            ) : (
+              <>
+                <p className="text-gray-500 mb-6">
+                  Reviewed since {formatDate(stats.firstReviewAt)}, most recently {formatDate(stats.latestReviewAt)}
+                </p>
+                <dl className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    { label: 'Average rating', value: `${stats.averageRating.toFixed(1)} ★` },
+                    { label: 'Reviews', value: stats.totalReviews },
+                    { label: 'Dishes reviewed', value: stats.foodItemCount },
+                    { label: 'Photos', value: stats.photoCount }
+                  ].map(item => (
+                    <div key={item.label} className="bg-amber-50 rounded-xl p-4">
+                      <dt className="text-sm text-gray-500">{item.label}</dt>
+                      <dd className="text-2xl font-bold text-gray-800">{item.value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </>
+            )}
+          </div>
+
+          {stats.totalReviews > 0 && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
+                <DishRanking
+                  title="Top rated"
+                  dishes={stats.topDishes}
+                  station={stats.station}
+                  minReviews={stats.minRankedReviews}
+                />
+                <DishRanking
+                  title="Lowest rated"
+                  dishes={stats.bottomDishes}
+                  station={stats.station}
+                  minReviews={stats.minRankedReviews}
+                />
+              </div>
+
+              <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-100 grid grid-cols-1 md:grid-cols-2 gap-8">
+                <div>
+                  <h2 className="text-lg font-bold mb-4 text-gray-800 font-['Plus_Jakarta_Sans']">Reviews per week</h2>
+                  <ReviewVolumeChart trend={stats.trend} weeks={stats.trendWeeks} currentWeek={stats.currentWeek} />
+                </div>
+                <div>
+                  <h2 className="text-lg font-bold mb-4 text-gray-800 font-['Plus_Jakarta_Sans']">Average rating by week</h2>
+                  <RatingSparkline trend={stats.trend} days={stats.trendWeeks * 7} period="week" />
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </Layout>
+  );
+}
@@ -66,6 +66,13 @@ async function runAggregationPipelines() {
     const db = client.db('rate_lowry');
     const reviewsCollection = db.collection('reviews');
     
+    // The station, distribution and trend pipelines are shared with the app's stats endpoints
+    const {
+      stationAnalyticsStages,
+      ratingDistributionPipeline,
+      recentReviewsPipeline
+    } = await import('../lib/aggregations.js');
+    
     console.log('=== Running Optimized Aggregation Pipelines ===\n');
     
     // Track execution times for performance comparison
@@ -152,39 +159,7 @@ async function runAggregationPipelines() {
       [
         // Early filtering - active reviews only
         { $match: { isActive: { $ne: false } } },
-        // Group by station
-        { $group: {
-            _id: "$station",
-            totalReviews: { $sum: 1 },
-            averageRating: { $avg: "$rating" },
-            // Efficient use of $min/$max instead of sorting
-            latestReview: { $max: "$createdAt" },
-            oldestReview: { $min: "$createdAt" },
-            // Collect unique food items without additional lookups
-            distinctFoodItems: { $addToSet: "$foodItem" }
-          }
-        },
-        // Calculate additional metrics
-        { $project: {
-            _id: 0,
-            station: "$_id",
-            totalReviews: 1,
-            averageRating: { $round: ["$averageRating", 1] },
-            // Calculate days between first and last review
-            daysActive: {
-              $round: [{ 
-                $divide: [
-                  { $subtract: ["$latestReview", "$oldestReview"] }, 
-                  (1000 * 60 * 60 * 24) // Convert milliseconds to days
-                ]
-              }, 0]
-            },
-            // Count distinct food items
-            foodItemCount: { $size: "$distinctFoodItems" }
-          }
-        },
-        // Sort by total reviews descending
-        { $sort: { totalReviews: -1 } }
+        ...stationAnalyticsStages()
       ],
       { hint: { station: 1, isActive: 1 } },
       "Station analytics"
@@ -199,58 +174,7 @@ async function runAggregationPipelines() {
     
     const ratingDistributionResults = await safeAggregationNext(
       reviewsCollection,
-      [
-        // Early filtering - active reviews only
-        { $match: { isActive: { $ne: false } } },
-        // Use $facet to perform multiple aggregations in a single pipeline
-        { $facet: {
-            // Overall distribution
-            "overall": [
-              { $group: {
-                  _id: "$rating",
-                  count: { $sum: 1 }
-                }
-              },
-              { $sort: { _id: 1 } }
-            ],
-            // Station distribution - separate facet avoids re-reading documents
-            "byStation": [
-              { $group: {
-                  _id: { station: "$station", rating: "$rating" },
-                  count: { $sum: 1 }
-                }
-              },
-              // Restructure data for easier analysis
-              { $group: {
-                  _id: "$_id.station",
-                  ratings: { 
-                    $push: { 
-                      rating: "$_id.rating", 
-                      count: "$count"
-                    }
-                  },
-                  totalCount: { $sum: "$count" }
-                }
-              },
-              { $sort: { totalCount: -1 } }
-            ],
-            // Period distribution (by month)
-            "byMonth": [
-              {
-                $group: {
-                  _id: {
-                    year: { $year: "$createdAt" },
-                    month: { $month: "$createdAt" },
-                    rating: "$rating"
-                  },
-                  count: { $sum: 1 }
-                }
-              },
-              { $sort: { "_id.year": 1, "_id.month": 1, "_id.rating": 1 } }
-            ]
-          }
-        }
-      ],
+      ratingDistributionPipeline(),
       { hint: { isActive: 1 } },
       "Rating distribution"
     );
@@ -267,35 +191,8 @@ async function runAggregationPipelines() {
     
     const recentReviewsResults = await safeAggregation(
       reviewsCollection,
-      [
-        // Early filtering - only recent, active reviews
-        { $match: {
-            isActive: { $ne: false },
-            createdAt: { $gte: sevenDaysAgo }
-          }
-        },
-        // Group by day
-        { $group: {
-            _id: {
-              date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }
-            },
-            count: { $sum: 1 },
-            avgRating: { $avg: "$rating" },
-            stations: { $addToSet: "$station" }
-          }
-        },
-        // Format output
-        { $project: {
-            _id: 0,
-            date: "$_id.date",
-            count: 1,
-            avgRating: { $round: ["$avgRating", 1] },
-            stationCount: { $size: "$stations" }
-          }
-        },
-        // Sort by date
-        { $sort: { "date": 1 } }
-      ],
+      // Days are campus calendar days, the same ones the food page charts
+      recentReviewsPipeline(sevenDaysAgo),
       { hint: { isActive: 1, createdAt: -1 } },
       "Recent reviews"
     );
@@ -0,0 +1,89 @@
+// This script manages API keys for calling admin and moderator routes
+// from scripts and other services, without signing in
+//
+// Usage: node scripts/api-keys.js create <name> [--role=admin|moderator]
+//        node scripts/api-keys.js list
+//        node scripts/api-keys.js revoke <name>
+//
+// Send a key as "Authorization: Bearer <key>". It is only printed once,
+// when it is created; only its hash is stored.
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { createApiKey } from '../lib/auth.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+const KEY_ROLES = ['admin', 'moderator'];
+const USAGE = 'Usage: node scripts/api-keys.js create <name> [--role=admin|moderator] | list | revoke <name>';
+
+async function manageApiKeys() {
+  const args = process.argv.slice(2);
+  const [command, name] = args.filter(arg => !arg.startsWith('--'));
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.slice('--role='.length) : 'admin';
+
+  if (!['create', 'list', 'revoke'].includes(command) || (command !== 'list' && !name)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!KEY_ROLES.includes(role)) {
+    console.error(`Role must be one of: ${KEY_ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let client;
+
+  try {
+    client = new MongoClient(uri);
+    await client.connect();
+
+    const db = client.db('rate_lowry');
+    const apiKeys = db.collection('apiKeys');
+
+    if (command === 'create') {
+      const existing = await apiKeys.findOne({ name, revokedAt: null });
+      if (existing) {
+        console.error(`An active key named "${name}" already exists; revoke it first`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const { key } = await createApiKey(db, { name, role });
+      console.log(`Created ${role} key "${name}":`);
+      console.log(`  ${key}`);
+      console.log('Store it now, it will not be shown again');
+    } else if (command === 'list') {
+      const keys = await apiKeys.find({}).project({ keyHash: 0 }).sort({ createdAt: 1 }).toArray();
+      if (keys.length === 0) {
+        console.log('No API keys');
+      }
+      keys.forEach(key => {
+        const status = key.revokedAt ? `revoked ${key.revokedAt.toISOString()}` : 'active';
+        const lastUsed = key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never';
+        console.log(`  ${key.name} (${key.role}) - ${status}, last used ${lastUsed}`);
+      });
+    } else {
+      const result = await apiKeys.updateMany(
+        { name, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      console.log(result.modifiedCount > 0 ? `Revoked "${name}"` : `No active key named "${name}"`);
+    }
+  } catch (error) {
+    console.error('Error managing API keys:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+manageApiKeys();
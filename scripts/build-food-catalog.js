@@ -0,0 +1,66 @@
+// This script builds the foods catalog from existing reviews and points
+// every review at its canonical food, so spelling variants that were typed
+// before the catalog existed ("Chicken Tenders", "chicken tender") are
+// grouped into one dish. Safe to run more than once.
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { resolveFood } from '../lib/foods.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+async function buildFoodCatalog() {
+  let client;
+
+  try {
+    console.log('Connecting to MongoDB...');
+    client = new MongoClient(uri);
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('rate_lowry');
+
+    // Most-reviewed spelling first, so it becomes the canonical name
+    const dishes = await db.collection('reviews').aggregate([
+      { $match: { foodItem: { $type: 'string' }, station: { $type: 'string' } } },
+      { $group: { _id: { foodItem: '$foodItem', station: '$station' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]).toArray();
+
+    console.log(`Found ${dishes.length} distinct food/station spellings in reviews`);
+
+    const foodsBefore = await db.collection('foods').countDocuments();
+    const operations = [];
+
+    for (const { _id: { foodItem, station } } of dishes) {
+      const food = await resolveFood(db, foodItem, station);
+      operations.push({
+        updateMany: {
+          filter: { foodItem, station },
+          update: { $set: { foodItem: food.name, foodId: food._id } }
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      const result = await db.collection('reviews').bulkWrite(operations, { ordered: false });
+      console.log(`Updated ${result.modifiedCount} reviews`);
+    }
+
+    const foodsAfter = await db.collection('foods').countDocuments();
+    console.log(`Catalog now has ${foodsAfter} foods (${foodsAfter - foodsBefore} new)`);
+  } catch (error) {
+    console.error('Error building food catalog:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('MongoDB connection closed');
+    }
+  }
+}
+
+// Run the function
+buildFoodCatalog();
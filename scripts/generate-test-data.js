@@ -4,11 +4,8 @@ const { MongoClient } = require('mongodb');
 const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
 const client = new MongoClient(uri);
 
-// Sample data for tests
-const testStations = [
-  'Main Line', 'Grill', 'Pizza', 'International', 'Deli', 'Salad Bar', 'Dessert'
-];
-
+// Sample data for tests. Stations come from the stations collection, so
+// generated reviews are filed under stations the app knows about.
 const testFoodItems = [
   'Burger', 'Pizza', 'Salad', 'Sandwich', 'Pasta', 'Tacos', 'Ice Cream', 'Soup',
   'Fries', 'Chicken Tenders', 'Stir Fry', 'Sushi', 'Curry', 'Pancakes'
@@ -39,6 +36,19 @@ async function generateTestData(count = 1000) {
     const db = client.db('rate_lowry');
     const reviewsCollection = db.collection('reviews');
     
+    // Open stations only, since new reviews can't be filed under closed ones
+    const testStations = await db.collection('stations')
+      .find({ active: { $ne: false } })
+      .project({ name: 1 })
+      .sort({ displayOrder: 1, name: 1 })
+      .toArray();
+    if (testStations.length === 0) {
+      console.error('No stations found; run npm run init-stations first');
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`Using ${testStations.length} stations: ${testStations.map(station => station.name).join(', ')}`);
+    
     // Check if test data already exists
     const existingCount = await reviewsCollection.countDocuments();
     console.log(`Database already contains ${existingCount} reviews`);
@@ -66,7 +76,7 @@ async function generateTestData(count = 1000) {
       // Create test review
       reviews.push({
         foodItem: testFoodItems[foodItemIndex],
-        station: testStations[stationIndex],
+        station: testStations[stationIndex].name,
         rating: Math.floor(Math.random() * 5) + 1,
         comment: testComments[i % testComments.length],
         reviewer: `Tester-${Math.floor(Math.random() * 1000)}`,
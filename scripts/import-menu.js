@@ -0,0 +1,94 @@
+// This script imports a weekly menu from a dining services CSV or .ics file
+//
+// Usage: node scripts/import-menu.js <menu.csv|menu.ics> [--dry-run] [--replace]
+//   --dry-run  Report what would be imported, including unknown stations and
+//              duplicate dishes, without writing anything
+//   --replace  Overwrite existing menus instead of adding dishes to them
+import { MongoClient } from 'mongodb';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { applyMenuImport, checkExistingMenus, parseMenuFile, planMenuImport } from '../lib/menuImport.js';
+import { recordAudit } from '../lib/audit.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+// Who the audit log shows for imports run from the command line
+const SCRIPT_ACTOR = { _id: null, displayName: 'import-menu script', role: 'script' };
+
+async function importMenu() {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const replace = args.includes('--replace');
+
+  if (!filePath) {
+    console.error('Usage: node scripts/import-menu.js <menu.csv|menu.ics> [--dry-run] [--replace]');
+    process.exitCode = 1;
+    return;
+  }
+
+  let client;
+
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const { rows, errors } = parseMenuFile(path.basename(filePath), text);
+    console.log(`Parsed ${rows.length} dishes from ${filePath}`);
+
+    errors.forEach(({ line, message }) => console.warn(`  Line ${line}: ${message}`));
+
+    console.log('Connecting to MongoDB...');
+    client = new MongoClient(uri);
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('rate_lowry');
+
+    // Closed stations aren't serving, so their rows are reported as unknown
+    const stationNames = await db.collection('stations').distinct('name', { active: { $ne: false } });
+    const plan = await checkExistingMenus(db, planMenuImport(rows, stationNames), { replace });
+
+    plan.unknownStations.forEach(({ station, lines }) => {
+      console.warn(`  Unknown station "${station}" (lines ${lines.join(', ')})`);
+    });
+    plan.duplicates.forEach(({ line, item, station, firstLine }) => {
+      console.warn(`  Line ${line}: "${item}" at ${station} duplicates line ${firstLine}`);
+    });
+    plan.errors.forEach(({ line, message }) => console.warn(`  Line ${line}: ${message}`));
+
+    console.log(`${plan.entries.length} menus ready to import`);
+
+    if (dryRun) {
+      plan.entries.forEach(({ date, mealPeriod, station, items }) => {
+        console.log(`  ${date} ${mealPeriod} @ ${station}: ${items.join(', ')}`);
+      });
+      console.log('Dry run complete, nothing was written');
+      return;
+    }
+
+    const result = await applyMenuImport(db, plan.entries, { replace });
+    console.log(`Created ${result.created} menus and updated ${result.updated} existing menus`);
+
+    await recordAudit(db, {
+      actor: SCRIPT_ACTOR,
+      action: 'menu.import',
+      targetType: 'menu',
+      targetId: null,
+      details: { filename: path.basename(filePath), replace, menuCount: plan.entries.length, ...result }
+    });
+  } catch (error) {
+    console.error('Error importing menu:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('MongoDB connection closed');
+    }
+  }
+}
+
+// Run the function
+importMenu();
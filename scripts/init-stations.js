@@ -1,5 +1,6 @@
 // This script initializes the database with the correct Lowry dining stations
 import { MongoClient } from 'mongodb';
+import { DEFAULT_STATIONS } from '../lib/stations.js';
 
 // MongoDB connection URI
 const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
@@ -15,58 +16,28 @@ async function initStations() {
     
     const db = client.db('rate_lowry');
     
-    // First, drop the existing stations collection to start fresh
-    try {
-      await db.collection('stations').drop();
-      console.log('Dropped existing stations collection');
-    } catch (e) {
-      console.log('No existing stations collection to drop');
+    // Upsert by name rather than dropping the collection, so stations keep
+    // their ids (and any description, hours or order an admin has set)
+    let insertedCount = 0;
+    for (const station of DEFAULT_STATIONS) {
+      const result = await db.collection('stations').updateOne(
+        { name: station.name },
+        { $setOnInsert: { ...station, createdAt: new Date() } },
+        { upsert: true }
+      );
+      insertedCount += result.upsertedCount;
     }
-    
-    // The correct Lowry dining stations
-    const stations = [
-      { name: 'Garden & Provisions', createdAt: new Date() },
-      { name: 'Hearth 66', createdAt: new Date() },
-      { name: 'Globe Wooster', createdAt: new Date() },
-      { name: 'Lemongrass', createdAt: new Date() },
-      { name: 'Zone', createdAt: new Date() },
-      { name: 'The Garden', createdAt: new Date() },
-      { name: 'The Kitchen Table', createdAt: new Date() },
-      { name: 'Mom\'s Kitchen', createdAt: new Date() }
-    ];
-    
-    // Insert the stations
-    const result = await db.collection('stations').insertMany(stations);
-    console.log(`Successfully inserted ${result.insertedCount} stations`);
-    
-    // Also update any existing reviews to use the correct station names
-    const reviews = await db.collection('reviews').find({}).toArray();
-    
-    // Create a mapping of old station names to new station names
-    // This is a best-guess mapping, you may need to update it
-    const stationMapping = {
-      'Global Kitchen': 'Globe Wooster',
-      'The Grill': 'Hearth 66',
-      'Salad Bar': 'Garden & Provisions',
-      'Pizza': 'The Kitchen Table',
-      'Desserts': 'Mom\'s Kitchen'
-    };
-    
-    let updatedCount = 0;
-    
-    for (const review of reviews) {
-      // If the station name is in our mapping, update it
-      if (review.station && stationMapping[review.station]) {
-        await db.collection('reviews').updateOne(
-          { _id: review._id },
-          { $set: { station: stationMapping[review.station] } }
-        );
-        updatedCount++;
-      }
+    console.log(`Inserted ${insertedCount} missing stations`);
+
+    // Reviews filed under names that aren't stations, e.g. from before the
+    // current lineup. Moving them is a migration, so it can be undone.
+    const stationNames = await db.collection('stations').distinct('name');
+    const orphaned = await db.collection('reviews').distinct('station', { station: { $nin: stationNames } });
+    if (orphaned.length > 0) {
+      console.log(`Reviews are filed under stations that don't exist: ${orphaned.join(', ')}`);
+      console.log('Move them with: npm run migrate-stations -- merge "<old name>" "<station>" (add --dry-run to preview)');
     }
     
-    console.log(`Updated ${updatedCount} reviews with correct station names`);
-    
     console.log('Database initialization complete');
   } catch (error) {
     console.error('Error initializing stations:', error);
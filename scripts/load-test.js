@@ -0,0 +1,219 @@
+// This script simulates a lunch rush against a running server to check
+// that review writes keep up. It signs in a batch of throwaway students,
+// has each post one review at the same time, and reports throughput,
+// latency, and how many writes went direct vs. batched through the outbox.
+// With --rate the reviews arrive at a steady pace instead, for finding the
+// rate where direct inserts stop keeping up, which is what PEAK_RPS is for.
+//
+// Usage: node scripts/load-test.js [--url=http://localhost:3000] [--reviews=200] [--concurrency=25] [--rate=<per second>] [--keep]
+//   --reviews      How many reviews (and students) to simulate
+//   --concurrency  How many requests are in flight at once
+//   --rate         Start this many reviews per second rather than all at once
+//   --keep         Leave the test students and their reviews in the database
+//
+// Run it against a development database: it writes real reviews, removed
+// again at the end unless --keep is given.
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { SESSION_COOKIE, issueSessionToken } from '../lib/auth.js';
+import { processOutbox } from '../lib/reviewOutbox.js';
+import { writeMetrics } from '../lib/writeLoad.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+const TEST_STATION = 'Load Test Station';
+const TEST_DISHES = ['Load Test Burger', 'Load Test Pasta', 'Load Test Curry', 'Load Test Salad', 'Load Test Tacos'];
+const TEST_COMMENTS = [
+  'Solid lunch, would get again.',
+  'A bit cold by the time I sat down.',
+  'Generous portion and well seasoned.',
+  'Fine, nothing special today.',
+  'Best thing on the line this week.'
+];
+
+function option(args, name, fallback) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Why reviews were batched between two writeMetrics readings, e.g. "rate x40"
+function batchedReasons(after, before) {
+  const sum = metrics => metrics.hours.reduce((totals, hour) => {
+    Object.entries(hour.reasons || {}).forEach(([reason, count]) => {
+      totals[reason] = (totals[reason] || 0) + count;
+    });
+    return totals;
+  }, {});
+  const earlier = sum(before);
+  return Object.entries(sum(after))
+    .map(([reason, count]) => [reason, count - (earlier[reason] || 0)])
+    .filter(([, count]) => count > 0)
+    .map(([reason, count]) => `${reason} x${count}`)
+    .join(', ');
+}
+
+// Runs tasks with at most `concurrency` in flight
+async function runPool(tasks, concurrency) {
+  const results = [];
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function loadTest() {
+  const args = process.argv.slice(2);
+  const baseUrl = option(args, 'url', 'http://localhost:3000').replace(/\/$/, '');
+  const reviewCount = parseInt(option(args, 'reviews', '200'), 10);
+  const concurrency = parseInt(option(args, 'concurrency', '25'), 10);
+  const rate = option(args, 'rate', null);
+  const perSecond = rate === null ? null : parseFloat(rate);
+  const keep = args.includes('--keep');
+
+  if (!(reviewCount > 0) || !(concurrency > 0) || (rate !== null && !(perSecond > 0))) {
+    console.error('--reviews, --concurrency and --rate must be positive numbers');
+    process.exitCode = 1;
+    return;
+  }
+
+  let client;
+  let userIds = [];
+  let createdStation = false;
+
+  try {
+    client = new MongoClient(uri);
+    await client.connect();
+    const db = client.db('rate_lowry');
+
+    // Reviews are only accepted for known stations
+    const station = await db.collection('stations').updateOne(
+      { name: TEST_STATION },
+      { $setOnInsert: { name: TEST_STATION, createdAt: new Date() } },
+      { upsert: true }
+    );
+    createdStation = station.upsertedCount > 0;
+
+    // One student per review, since each may only review a dish once per meal
+    const run = Date.now().toString(36);
+    const users = Array.from({ length: reviewCount }, (_, i) => ({
+      email: `loadtest-${run}-${i}@loadtest.invalid`,
+      displayName: `Load Tester ${i + 1}`,
+      role: 'student',
+      loadTest: true,
+      createdAt: new Date()
+    }));
+    const inserted = await db.collection('users').insertMany(users);
+    userIds = Object.values(inserted.insertedIds);
+    const tokens = await Promise.all(userIds.map(userId => issueSessionToken(db, userId)));
+    console.log(`Created ${reviewCount} test students`);
+
+    const startedAt = new Date();
+    const before = await writeMetrics(db, startedAt);
+
+    console.log(`Posting ${reviewCount} reviews to ${baseUrl} with ${concurrency} in flight${perSecond ? ` at ${perSecond}/s` : ''}...`);
+    let wallStart;
+    const tasks = tokens.map((token, i) => async () => {
+      if (perSecond) {
+        const due = wallStart + (i * 1000) / perSecond;
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, due - performance.now())));
+      }
+      const start = performance.now();
+      try {
+        const response = await fetch(`${baseUrl}/api/reviews`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Cookie: `${SESSION_COOKIE}=${token}`
+          },
+          body: JSON.stringify({
+            foodItem: TEST_DISHES[i % TEST_DISHES.length],
+            station: TEST_STATION,
+            rating: (i % 5) + 1,
+            comment: `${TEST_COMMENTS[i % TEST_COMMENTS.length]} (#${i + 1})`
+          })
+        });
+        return { status: response.status, ms: performance.now() - start };
+      } catch (error) {
+        return { status: 'network error', ms: performance.now() - start, error: error.message };
+      }
+    });
+
+    wallStart = performance.now();
+    const results = await runPool(tasks, concurrency);
+    const seconds = (performance.now() - wallStart) / 1000;
+
+    // Anything still queued is written now, so the totals below are final
+    let drained = 0;
+    for (;;) {
+      const { written, failed } = await processOutbox(db);
+      drained += written.length;
+      if (written.length === 0 && failed === 0) break;
+    }
+
+    const after = await writeMetrics(db, startedAt);
+    const stored = await db.collection('reviews').countDocuments({ userId: { $in: userIds } });
+
+    const statuses = {};
+    results.forEach(({ status }) => { statuses[status] = (statuses[status] || 0) + 1; });
+    const accepted = (statuses[201] || 0) + (statuses[202] || 0);
+    const latencies = results.map(result => result.ms).sort((a, b) => a - b);
+    const errors = results.filter(result => result.error);
+
+    console.log('\n===== LOAD TEST RESULTS =====');
+    console.log(`Requests:     ${reviewCount} in ${seconds.toFixed(2)}s`);
+    console.log(`Throughput:   ${(accepted / seconds).toFixed(1)} accepted reviews/s`);
+    console.log(`Latency:      p50 ${percentile(latencies, 0.5).toFixed(0)}ms, p95 ${percentile(latencies, 0.95).toFixed(0)}ms, max ${latencies[latencies.length - 1].toFixed(0)}ms`);
+    console.log(`Statuses:     ${Object.entries(statuses).map(([status, count]) => `${status} x${count}`).join(', ')}`);
+    // Other traffic in the same hours is counted too, so run this on a quiet database
+    console.log(`Writes:       ${['direct', 'batched', 'fallback'].map(mode => `${mode} ${after.totals[mode] - before.totals[mode]}`).join(', ')}`);
+    const reasons = batchedReasons(after, before);
+    if (reasons) {
+      console.log(`Batched for:  ${reasons}`);
+    }
+    console.log(`Drained:      ${drained} queued reviews written after the rush`);
+    console.log(`Stored:       ${stored} of ${accepted} accepted reviews are in the database`);
+    if (errors.length > 0) {
+      console.log(`First error:  ${errors[0].error}`);
+    }
+
+    if (stored !== accepted) {
+      console.error('Some accepted reviews were not written; check /api/admin/outbox?status=dead');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error running load test:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      if (!keep && userIds.length > 0) {
+        const db = client.db('rate_lowry');
+        await db.collection('reviews').deleteMany({ userId: { $in: userIds } });
+        await db.collection('reviewOutbox').deleteMany({ 'review.userId': { $in: userIds } });
+        await db.collection('sessions').deleteMany({ userId: { $in: userIds } });
+        await db.collection('users').deleteMany({ _id: { $in: userIds } });
+        await db.collection('foods').deleteMany({ station: TEST_STATION });
+        if (createdStation) {
+          await db.collection('stations').deleteOne({ name: TEST_STATION });
+        }
+        console.log('Removed the test students and their reviews');
+      }
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+loadTest();
@@ -0,0 +1,181 @@
+// This script renames stations and merges one station into another,
+// rewriting the reviews, menus and foods filed under the old name. Every
+// run is recorded in the migrations collection and can be rolled back;
+// running one whose change is already in place does nothing.
+//
+// Usage: node scripts/migrate-stations.js rename <from> <to> [--dry-run]
+//        node scripts/migrate-stations.js merge <from> <into> [--dry-run]
+//        node scripts/migrate-stations.js rollback <migration id> [--dry-run]
+//        node scripts/migrate-stations.js list
+//
+// merge also takes names that only old reviews use, e.g. stations from
+// before the current Lowry lineup:
+//   node scripts/migrate-stations.js merge "Global Kitchen" "Globe Wooster"
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import {
+  STATION_MIGRATION_KIND,
+  applyStationMigration,
+  planStationMigration,
+  rollbackStationMigration
+} from '../lib/stationMigrations.js';
+import { withMigrationLock } from '../lib/migrations.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+const USAGE = 'Usage: node scripts/migrate-stations.js rename <from> <to> | merge <from> <into> | rollback <migration id> | list [--dry-run]';
+
+function describePlan(plan) {
+  const { references } = plan;
+  const lines = [
+    `${plan.operation === 'rename' ? 'Rename' : 'Merge'} ${plan.from} ${plan.operation === 'rename' ? 'to' : 'into'} ${plan.to}`,
+    `  ${references.reviews} reviews, ${references.menus} menus and ${references.foods} foods are filed under ${plan.from}`
+  ];
+  if (plan.operation === 'merge') {
+    if (plan.menuClashes.length > 0) {
+      lines.push(`  ${plan.menuClashes.length} menus are for meals ${plan.to} also has a menu for; their dishes will be combined`);
+    }
+    plan.foodClashes.forEach(({ source, target }) => {
+      lines.push(`  ${source.name} will be folded into ${target.name} at ${plan.to}`);
+    });
+    if (!plan.fromStation) {
+      lines.push(`  ${plan.from} has no station entry; only the documents above move`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Prints the plan, or why it won't run; true when it should go ahead
+function reportPlan(plan) {
+  if (plan.error) {
+    console.error(plan.error);
+    process.exitCode = 1;
+    return false;
+  }
+  if (plan.upToDate) {
+    console.log(plan.upToDate);
+    return false;
+  }
+  console.log(describePlan(plan));
+  return true;
+}
+
+async function migrateStations() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [command, ...names] = args.filter(arg => !arg.startsWith('--'));
+
+  const needs = { rename: 2, merge: 2, rollback: 1, list: 0 };
+  if (!(command in needs) || names.length !== needs[command]) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let client;
+
+  try {
+    client = new MongoClient(uri);
+    await client.connect();
+
+    const db = client.db('rate_lowry');
+    const migrations = db.collection('migrations');
+
+    if (command === 'list') {
+      const applied = await migrations
+        .find({ kind: STATION_MIGRATION_KIND })
+        .project({ undo: 0 })
+        .sort({ startedAt: 1 })
+        .toArray();
+      if (applied.length === 0) {
+        console.log('No station migrations have been run');
+      }
+      applied.forEach(migration => {
+        const when = migration.rolledBackAt || migration.appliedAt || migration.startedAt;
+        const counts = migration.counts
+          ? ` - ${migration.counts.reviews} reviews, ${migration.counts.menus} menus, ${migration.counts.foods} foods`
+          : '';
+        console.log(`${migration._id}  ${migration.status} ${when.toISOString()}${counts}`);
+      });
+      return;
+    }
+
+    if (command === 'rollback') {
+      const [id] = names;
+      const migration = await migrations.findOne({ _id: id, kind: STATION_MIGRATION_KIND });
+      if (!migration) {
+        console.error(`No station migration ${id}; see node scripts/migrate-stations.js list`);
+        process.exitCode = 1;
+        return;
+      }
+      if (migration.status === 'rolledBack') {
+        console.log(`${id} is already rolled back`);
+        return;
+      }
+      // Undo in reverse order, e.g. A -> B then B -> C needs B -> C undone first
+      const later = await migrations.findOne({
+        kind: STATION_MIGRATION_KIND,
+        status: 'applied',
+        startedAt: { $gt: migration.startedAt },
+        $or: [{ from: migration.to }, { to: migration.to }]
+      });
+      if (later) {
+        console.error(`${later._id} was applied after ${id} and also changes ${migration.to}; roll it back first`);
+        process.exitCode = 1;
+        return;
+      }
+      if (dryRun) {
+        console.log(`Would roll back ${id} (${migration.status}), putting ${migration.from} back`);
+        return;
+      }
+      const lock = await withMigrationLock(db, () => rollbackStationMigration(db, migration));
+      if (!lock.acquired) {
+        console.error(`Migrations are running on ${lock.holder.owner}; try again once they finish`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`Rolled back ${id}; ${migration.from} is back`);
+      return;
+    }
+
+    const [from, to] = names;
+
+    if (dryRun) {
+      const plan = await planStationMigration(db, { operation: command, from, to });
+      if (reportPlan(plan)) {
+        console.log('Dry run; nothing was changed');
+      }
+      return;
+    }
+
+    // Planned under the lock, so another run can't change the stations
+    // between planning and applying
+    const lock = await withMigrationLock(db, async () => {
+      const plan = await planStationMigration(db, { operation: command, from, to });
+      return reportPlan(plan) ? applyStationMigration(db, plan) : null;
+    });
+    if (!lock.acquired) {
+      console.error(`Migrations are running on ${lock.holder.owner}; try again once they finish`);
+      process.exitCode = 1;
+      return;
+    }
+    const migration = lock.result;
+    if (!migration) return;
+    const { reviews, menus, foods } = migration.counts;
+    console.log(`Done: moved ${reviews} reviews, ${menus} menus and ${foods} foods to ${to}`);
+    console.log(`Undo with: node scripts/migrate-stations.js rollback "${migration._id}"`);
+  } catch (error) {
+    console.error('Error migrating stations:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+migrateStations();
@@ -0,0 +1,232 @@
+// This script runs the numbered migrations in scripts/migrations, recording
+// each in the migrations collection so it only runs once. Run `up` on every
+// deploy, before starting the new version. Runs take a lock, so a second
+// deploy starting at the same time stops with an error instead of running
+// the same migrations twice.
+//
+// Usage: node scripts/migrate.js status
+//        node scripts/migrate.js up [--to=<number>] [--dry-run]
+//        node scripts/migrate.js down [--to=<number>] [--dry-run]
+//   up    Applies every pending migration, or those up to --to
+//   down  Rolls back the latest applied migration, or every one after --to
+//         (--to=0 rolls back all of them)
+//
+// A migration is a file named like 003-short-description.js that exports
+// `description` and async `up(db)` and `down(db)` functions. Number new ones
+// after the highest existing file and never renumber or edit one that has
+// been applied; add another migration instead.
+import fs from 'fs';
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { SCHEMA_MIGRATION_KIND, findMigrationLock, withMigrationLock } from '../lib/migrations.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+const MIGRATIONS_DIR = new URL('./migrations/', import.meta.url);
+const FILE_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/;
+const USAGE = 'Usage: node scripts/migrate.js status | up [--to=<number>] [--dry-run] | down [--to=<number>] [--dry-run]';
+
+// The migration files in order, checked for the expected exports
+async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new Error(`${file} should be named like 001-short-description.js`);
+    }
+    const version = Number(match[1]);
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`Two migrations are numbered ${match[1]}`);
+    }
+    const loaded = await import(new URL(file, MIGRATIONS_DIR).href);
+    if (typeof loaded.up !== 'function' || typeof loaded.down !== 'function') {
+      throw new Error(`${file} must export up(db) and down(db) functions`);
+    }
+    migrations.push({
+      id: file.slice(0, -'.js'.length),
+      version,
+      description: loaded.description || '',
+      up: loaded.up,
+      down: loaded.down
+    });
+  }
+
+  return migrations;
+}
+
+async function showStatus(db, migrations, records) {
+  const lock = await findMigrationLock(db);
+  if (lock) {
+    console.log(`Migrations are running on ${lock.owner} (since ${lock.lockedAt.toISOString()})\n`);
+  }
+
+  migrations.forEach(migration => {
+    const record = records.get(migration.id);
+    const state = record?.status === 'applied'
+      ? `applied ${record.appliedAt.toISOString()}`
+      : record?.status === 'failed'
+        ? `failed ${record.failedAt.toISOString()}: ${record.error}`
+        : 'pending';
+    console.log(`${migration.id.padEnd(40)} ${state}`);
+  });
+
+  // Applied by a newer version of the code, or a file that was removed
+  const known = new Set(migrations.map(migration => migration.id));
+  [...records.values()]
+    .filter(record => record.status === 'applied' && !known.has(record._id))
+    .forEach(record => console.log(`${record._id.padEnd(40)} applied ${record.appliedAt.toISOString()}, but its file is missing`));
+
+  const pending = migrations.filter(migration => records.get(migration.id)?.status !== 'applied');
+  console.log(`\n${pending.length} pending`);
+}
+
+async function migrateUp(db, migrations, to) {
+  const records = db.collection('migrations');
+
+  for (const migration of migrations) {
+    if (to !== null && migration.version > to) break;
+
+    const record = await records.findOne({ _id: migration.id });
+    if (record?.status === 'applied') continue;
+
+    console.log(`Applying ${migration.id} - ${migration.description}`);
+    const started = Date.now();
+    try {
+      await migration.up(db);
+    } catch (error) {
+      await records.updateOne(
+        { _id: migration.id },
+        {
+          $set: {
+            kind: SCHEMA_MIGRATION_KIND,
+            version: migration.version,
+            status: 'failed',
+            failedAt: new Date(),
+            error: error.message
+          }
+        },
+        { upsert: true }
+      );
+      throw new Error(`${migration.id} failed: ${error.message}`);
+    }
+
+    await records.updateOne(
+      { _id: migration.id },
+      {
+        $set: {
+          kind: SCHEMA_MIGRATION_KIND,
+          version: migration.version,
+          description: migration.description,
+          status: 'applied',
+          appliedAt: new Date(),
+          durationMs: Date.now() - started
+        },
+        $unset: { failedAt: '', error: '', rolledBackAt: '' }
+      },
+      { upsert: true }
+    );
+    console.log(`  done in ${Date.now() - started}ms`);
+  }
+}
+
+async function migrateDown(db, migrations, to) {
+  const records = db.collection('migrations');
+  const applied = await records
+    .find({ kind: SCHEMA_MIGRATION_KIND, status: 'applied' })
+    .sort({ version: -1 })
+    .toArray();
+  const targets = to === null ? applied.slice(0, 1) : applied.filter(record => record.version > to);
+
+  for (const record of targets) {
+    const migration = migrations.find(candidate => candidate.id === record._id);
+    if (!migration) {
+      throw new Error(`${record._id} is applied but its file is missing, so it can't be rolled back`);
+    }
+
+    console.log(`Rolling back ${migration.id} - ${migration.description}`);
+    await migration.down(db);
+    await records.updateOne(
+      { _id: migration.id },
+      { $set: { status: 'rolledBack', rolledBackAt: new Date() } }
+    );
+  }
+
+  if (targets.length === 0) {
+    console.log('Nothing to roll back');
+  }
+}
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  const [command] = args.filter(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const toArg = args.find(arg => arg.startsWith('--to='));
+  const to = toArg ? Number(toArg.slice('--to='.length)) : null;
+
+  if (!['status', 'up', 'down'].includes(command) || (to !== null && !Number.isInteger(to))) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let client;
+
+  try {
+    const migrations = await loadMigrations();
+
+    client = new MongoClient(uri);
+    await client.connect();
+
+    const db = client.db('rate_lowry');
+    const records = new Map(
+      (await db.collection('migrations').find({ kind: SCHEMA_MIGRATION_KIND }).toArray())
+        .map(record => [record._id, record])
+    );
+
+    if (command === 'status') {
+      await showStatus(db, migrations, records);
+      return;
+    }
+
+    if (dryRun) {
+      const selected = command === 'up'
+        ? migrations.filter(migration => records.get(migration.id)?.status !== 'applied' && (to === null || migration.version <= to))
+        : [...records.values()]
+          .filter(record => record.status === 'applied' && (to === null || record.version > to))
+          .sort((a, b) => b.version - a.version)
+          .slice(0, to === null ? 1 : undefined);
+      console.log(selected.length === 0
+        ? 'Nothing to do'
+        : `Would ${command === 'up' ? 'apply' : 'roll back'}: ${selected.map(migration => migration.id || migration._id).join(', ')}`);
+      return;
+    }
+
+    const lock = await withMigrationLock(db, () =>
+      command === 'up' ? migrateUp(db, migrations, to) : migrateDown(db, migrations, to)
+    );
+    if (!lock.acquired) {
+      console.error(`Migrations are already running on ${lock.holder.owner} (since ${lock.holder.lockedAt.toISOString()}); try again once they finish`);
+      process.exitCode = 1;
+      return;
+    }
+    if (lock.tookOverFrom) {
+      console.warn(`Took over the migrations lock from ${lock.tookOverFrom}, which stopped renewing it`);
+    }
+    console.log('Migrations complete');
+  } catch (error) {
+    console.error('Error running migrations:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+migrate();
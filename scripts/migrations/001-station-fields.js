@@ -0,0 +1,33 @@
+// Stations gained a slug, a display order and an active flag. Fills them in
+// on stations created before then; init-stations.js sets them on new ones.
+import { slugify } from '../../lib/foods.js';
+import { nextDisplayOrder } from '../../lib/stations.js';
+
+export const description = 'Give existing stations a slug, display order and active flag';
+
+export async function up(db) {
+  const incomplete = await db.collection('stations')
+    .find({ $or: [{ slug: { $exists: false } }, { displayOrder: { $exists: false } }, { active: { $exists: false } }] })
+    .sort({ name: 1 })
+    .toArray();
+
+  for (const station of incomplete) {
+    const updates = {};
+    if (station.slug === undefined) {
+      const slug = slugify(station.name);
+      const taken = await db.collection('stations').findOne({ slug, _id: { $ne: station._id } });
+      // A clash is left for an admin to settle; the station still works by id
+      if (slug && !taken) updates.slug = slug;
+    }
+    if (station.displayOrder === undefined) updates.displayOrder = await nextDisplayOrder(db);
+    if (station.active === undefined) updates.active = true;
+    if (Object.keys(updates).length > 0) {
+      await db.collection('stations').updateOne({ _id: station._id }, { $set: updates });
+    }
+  }
+}
+
+// Also clears the fields on stations added since, which can't be told apart
+export async function down(db) {
+  await db.collection('stations').updateMany({}, { $unset: { slug: '', displayOrder: '', active: '' } });
+}
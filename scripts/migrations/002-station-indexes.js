@@ -0,0 +1,29 @@
+// Indexes for managed stations: names and slugs are unique (reviews, menus
+// and foods refer to stations by name; pages link by slug), and lists are
+// sorted by display order.
+export const description = 'Unique station names and slugs, and display order';
+
+const INDEXES = [
+  { key: { name: 1 }, name: 'idx_stations_name', unique: true },
+  // Stations from before slugs drop out
+  { key: { slug: 1 }, name: 'idx_stations_slug', unique: true, partialFilterExpression: { slug: { $type: 'string' } } },
+  { key: { displayOrder: 1, name: 1 }, name: 'idx_stations_displayOrder_name' }
+];
+
+export async function up(db) {
+  await db.collection('stations').createIndexes(INDEXES);
+}
+
+export async function down(db) {
+  const indexes = await db.collection('stations').indexes().catch(error => {
+    // No stations collection, so no indexes to drop
+    if (error.code === 26) return [];
+    throw error;
+  });
+  const existing = new Set(indexes.map(index => index.name));
+  for (const { name } of INDEXES) {
+    if (existing.has(name)) {
+      await db.collection('stations').dropIndex(name);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+// normalizeFoodName stopped turning words ending in "us" into singulars
+// ("hummus" used to become "hummu"). Adds each dish's keys under the new
+// rule so typing the name still finds it; the old keys are left in place.
+import { normalizeFoodName } from '../../lib/foods.js';
+
+export const description = 'Match keys for dishes whose names end in "us"';
+
+export async function up(db) {
+  const foods = await db.collection('foods')
+    .find({})
+    .project({ name: 1, station: 1, aliases: 1, matchKeys: 1 })
+    .toArray();
+
+  for (const food of foods) {
+    const keys = [food.name, ...(food.aliases || [])].map(normalizeFoodName);
+    const missing = [...new Set(keys)].filter(key => key && !(food.matchKeys || []).includes(key));
+
+    for (const key of missing) {
+      try {
+        await db.collection('foods').updateOne({ _id: food._id }, { $addToSet: { matchKeys: key } });
+      } catch (error) {
+        // Another dish at the station already answers to this spelling
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+}
+
+// The added keys only ever point at the dish they came from, so they stay
+export async function down() {}
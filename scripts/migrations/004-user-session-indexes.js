@@ -0,0 +1,47 @@
+// Indexes accounts and sign-in depend on: one account per email, so two
+// sign-ups racing with the same address can't both succeed (signup answers
+// the loser with 409), a lookup for the session cookie sent with every
+// request, and a TTL index that removes sessions once they expire.
+export const description = 'Unique user emails, session token lookup and session expiry';
+
+const INDEXES = {
+  users: [
+    { key: { email: 1 }, name: 'idx_users_email', unique: true }
+  ],
+  sessions: [
+    { key: { tokenHash: 1 }, name: 'idx_sessions_tokenHash', unique: true },
+    { key: { expiresAt: 1 }, name: 'idx_sessions_expiresAt', expireAfterSeconds: 0 }
+  ]
+};
+
+export async function up(db) {
+  // A unique index can't be built over duplicates; name them so they can be sorted out
+  const duplicates = await db.collection('users').aggregate([
+    { $group: { _id: '$email', count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: 10 }
+  ]).toArray();
+  if (duplicates.length > 0) {
+    throw new Error(`Several accounts share an email (${duplicates.map(duplicate => duplicate._id).join(', ')}); merge or remove them first`);
+  }
+
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await db.collection(collection).createIndexes(indexes);
+  }
+}
+
+export async function down(db) {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    const existing = await db.collection(collection).indexes().catch(error => {
+      // No such collection, so no indexes to drop
+      if (error.code === 26) return [];
+      throw error;
+    });
+    const names = new Set(existing.map(index => index.name));
+    for (const { name } of indexes) {
+      if (names.has(name)) {
+        await db.collection(collection).dropIndex(name);
+      }
+    }
+  }
+}
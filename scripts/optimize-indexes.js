@@ -77,6 +77,43 @@ async function optimizeIndexes() {
         key: { isActive: 1, createdAt: -1 }, 
         name: 'idx_isActive_createdAt',
         description: 'Optimizes time-based queries for active reviews'
+      },
+      { 
+        key: { foodId: 1 }, 
+        name: 'idx_foodId',
+        description: 'Supports re-pointing reviews when foods are merged'
+      },
+      { 
+        key: { foodItem: 1, station: 1, createdAt: -1, _id: -1 }, 
+        name: 'idx_foodItem_station_createdAt_id',
+        description: 'Serves paginated review lists on food pages in cursor order'
+      },
+      { 
+        key: { foodItem: 1, station: 1, rating: -1, createdAt: -1, _id: -1 }, 
+        name: 'idx_foodItem_station_rating_createdAt_id',
+        description: 'Serves the highest-rated sort and star filters on food pages'
+      },
+      { 
+        key: { foodItem: 1, station: 1, rating: 1, createdAt: -1, _id: -1 }, 
+        name: 'idx_foodItem_station_ratingAsc_createdAt_id',
+        description: 'Serves the lowest-rated sort on food pages (newest first within a star value)'
+      },
+      { 
+        key: { foodItem: 1, station: 1, helpfulScore: -1, createdAt: -1, _id: -1 }, 
+        name: 'idx_foodItem_station_helpfulScore_createdAt_id',
+        description: 'Serves the most helpful sort on food pages'
+      },
+      { 
+        key: { moderationStatus: 1, isActive: 1, createdAt: -1 }, 
+        name: 'idx_moderationStatus_isActive_createdAt',
+        description: 'Serves the new and flagged moderation queues'
+      },
+      { 
+        key: { foodItem: 'text', comment: 'text' }, 
+        name: 'idx_text_foodItem_comment',
+        // Matches in the dish name count for more than matches in comments
+        options: { weights: { foodItem: 5, comment: 1 }, default_language: 'english' },
+        description: 'Full-text search across dish names and review comments'
       }
     ];
     
@@ -102,7 +139,7 @@ async function optimizeIndexes() {
       } else {
         try {
           console.log(`Creating index: ${indexDef.name} - ${indexDef.description}`);
-          await reviewsCollection.createIndex(indexDef.key, { name: indexDef.name });
+          await reviewsCollection.createIndex(indexDef.key, { name: indexDef.name, ...indexDef.options });
           indexesCreated++;
         } catch (err) {
           console.error(`Error creating index ${indexDef.name}: ${err.message}`);
@@ -112,6 +149,149 @@ async function optimizeIndexes() {
     
     console.log(`Created ${indexesCreated} new indexes, skipped ${indexesSkipped} existing indexes`);
     
+    // Indexes on supporting collections. These also carry constraints
+    // (like uniqueness) the API relies on, so they are always ensured.
+    // Newer ones are created by migrations instead (scripts/migrations).
+    const supportingIndexes = [
+      {
+        collection: 'reviews',
+        key: { userId: 1, foodId: 1, mealDate: 1, mealPeriod: 1 },
+        name: 'idx_userId_foodId_mealDate_mealPeriod',
+        options: { unique: true, partialFilterExpression: { mealPeriod: { $exists: true } } },
+        description: 'One review per student per dish per meal; deleted and merged reviews drop out'
+      },
+      {
+        collection: 'menus',
+        key: { date: 1, mealPeriod: 1, station: 1 },
+        name: 'idx_menus_date_mealPeriod_station',
+        options: { unique: true },
+        description: 'One menu per station per meal per day; serves the daily menu lookup'
+      },
+      {
+        collection: 'foods',
+        key: { slug: 1 },
+        name: 'idx_foods_slug',
+        options: { unique: true },
+        description: 'Routes /food/[slug] pages to a single dish'
+      },
+      {
+        collection: 'foods',
+        key: { station: 1, matchKeys: 1 },
+        name: 'idx_foods_station_matchKeys',
+        options: { unique: true },
+        description: 'Each spelling of a dish maps to one food per station'
+      },
+      {
+        collection: 'foods',
+        key: { previousSlugs: 1 },
+        name: 'idx_foods_previousSlugs',
+        description: 'Keeps links to merged-away foods working'
+      },
+      {
+        collection: 'auditLog',
+        key: { createdAt: -1, _id: -1 },
+        name: 'idx_auditLog_createdAt',
+        description: 'Serves the audit log newest first'
+      },
+      {
+        collection: 'auditLog',
+        key: { targetId: 1, createdAt: -1 },
+        name: 'idx_auditLog_targetId_createdAt',
+        description: 'Serves the history of actions on one document'
+      },
+      {
+        collection: 'reports',
+        key: { reviewId: 1, userId: 1 },
+        name: 'idx_reports_reviewId_userId',
+        options: { unique: true },
+        description: 'One report per student per review; lists a review\'s reports for moderators'
+      },
+      {
+        collection: 'reports',
+        key: { userId: 1, createdAt: -1 },
+        name: 'idx_reports_userId_createdAt',
+        description: 'Lists the reports one student has filed, newest first'
+      },
+      {
+        collection: 'votes',
+        key: { reviewId: 1, userId: 1 },
+        name: 'idx_votes_reviewId_userId',
+        options: { unique: true },
+        description: 'One helpfulness vote per student per review; also finds the viewer\'s votes on a page'
+      },
+      {
+        collection: 'reviewOutbox',
+        key: { status: 1, nextAttemptAt: 1 },
+        name: 'idx_reviewOutbox_status_nextAttemptAt',
+        description: 'Finds queued review writes that are due'
+      },
+      {
+        collection: 'reviewOutbox',
+        key: { status: 1, createdAt: -1, _id: -1 },
+        name: 'idx_reviewOutbox_status_createdAt',
+        description: 'Lists queued review writes by state for admins'
+      },
+      {
+        collection: 'reviewOutbox',
+        key: { doneAt: 1 },
+        name: 'idx_reviewOutbox_doneAt',
+        options: { expireAfterSeconds: 7 * 24 * 60 * 60 },
+        description: 'Clears written entries out of the outbox after a week'
+      },
+      {
+        collection: 'requestRates',
+        key: { expiresAt: 1 },
+        name: 'idx_requestRates_expiresAt',
+        options: { expireAfterSeconds: 0 },
+        description: 'Drops per-second submission counters after a few minutes'
+      },
+      {
+        collection: 'writeMetrics',
+        key: { hour: 1 },
+        name: 'idx_writeMetrics_hour',
+        options: { unique: true },
+        description: 'One write-metrics counter per hour'
+      },
+      {
+        collection: 'writeMetrics',
+        key: { expiresAt: 1 },
+        name: 'idx_writeMetrics_expiresAt',
+        options: { expireAfterSeconds: 0 },
+        description: 'Drops write metrics after 30 days'
+      },
+      {
+        collection: 'apiKeys',
+        key: { keyHash: 1 },
+        name: 'idx_apiKeys_keyHash',
+        options: { unique: true },
+        description: 'Looks up the API key sent with a request'
+      },
+      {
+        collection: 'confirmations',
+        key: { expiresAt: 1 },
+        name: 'idx_confirmations_expiresAt',
+        options: { expireAfterSeconds: 0 },
+        description: 'Removes unused confirmation tokens once they expire'
+      },
+      {
+        collection: 'rateLimits',
+        key: { expiresAt: 1 },
+        name: 'idx_rateLimits_expiresAt',
+        options: { expireAfterSeconds: 0 },
+        description: 'Drops rate-limit buckets once they would be full again'
+      }
+    ];
+    
+    console.log('\nEnsuring indexes on supporting collections...');
+    for (const indexDef of supportingIndexes) {
+      try {
+        console.log(`Ensuring index: ${indexDef.collection}.${indexDef.name} - ${indexDef.description}`);
+        await db.collection(indexDef.collection).createIndex(indexDef.key, { name: indexDef.name, ...indexDef.options });
+      } catch (err) {
+        console.error(`Error creating index ${indexDef.name}: ${err.message}`);
+      }
+    }
+    
     // Analyze index usage statistics - only available on MongoDB 4.2+
     try {
       // Basic review count for statistics
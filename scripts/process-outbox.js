@@ -0,0 +1,41 @@
+// This script writes reviews waiting in the review outbox. The API drains
+// the outbox as reviews arrive; run this from a scheduler (e.g. every
+// minute) so retries still happen when nobody is posting.
+//
+// Usage: node scripts/process-outbox.js
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { processOutbox } from '../lib/reviewOutbox.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+async function run() {
+  let client;
+
+  try {
+    client = new MongoClient(uri);
+    await client.connect();
+
+    const db = client.db('rate_lowry');
+    const { written, failed } = await processOutbox(db, { maxBatches: 50 });
+    console.log(`Wrote ${written.length} queued reviews, ${failed} failed and will be retried or need a replay`);
+
+    const dead = await db.collection('reviewOutbox').countDocuments({ status: 'dead' });
+    if (dead > 0) {
+      console.warn(`${dead} reviews have given up retrying; see /api/admin/outbox?status=dead`);
+    }
+  } catch (error) {
+    console.error('Error processing review outbox:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+run();
@@ -0,0 +1,75 @@
+// This script installs a $jsonSchema validator on each collection in
+// lib/schemas.js, creating collections that don't exist yet. The API
+// checks requests against the same rules; the validators also catch
+// scripts and anything else writing to the database directly.
+//
+// Usage: node scripts/setup-validation.js [--warn] [--dry-run]
+//   --warn     Log invalid writes in the server log instead of rejecting them,
+//              e.g. while checking that existing data is clean
+//   --dry-run  Print the validators and how many documents break them
+//
+// Validation is "moderate": documents that are already invalid can still be
+// updated, so old data never blocks the app; new writes must be valid.
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { COLLECTION_SCHEMAS } from '../lib/schemas.js';
+import { toJsonSchema } from '../lib/validation.js';
+
+dotenv.config({ path: '.env.local' });
+
+// MongoDB connection URI
+const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/rate_lowry";
+
+async function setupValidation() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const validationAction = args.includes('--warn') ? 'warn' : 'error';
+
+  let client;
+
+  try {
+    client = new MongoClient(uri);
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('rate_lowry');
+    const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+
+    for (const [name, schema] of Object.entries(COLLECTION_SCHEMAS)) {
+      const validator = { $jsonSchema: toJsonSchema(schema) };
+
+      // Documents written before the validator that it would reject
+      const invalid = existing.has(name)
+        ? await db.collection(name).countDocuments({ $nor: [validator] })
+        : 0;
+
+      if (dryRun) {
+        console.log(`\n${name}: ${invalid} existing documents would fail validation`);
+        console.log(JSON.stringify(validator, null, 2));
+        continue;
+      }
+
+      if (existing.has(name)) {
+        await db.command({ collMod: name, validator, validationLevel: 'moderate', validationAction });
+      } else {
+        await db.createCollection(name, { validator, validationLevel: 'moderate', validationAction });
+      }
+
+      console.log(`${name}: validator installed (${validationAction})${invalid > 0 ? `, ${invalid} existing documents don't match` : ''}`);
+    }
+
+    if (!dryRun) {
+      console.log('\nCollection validators are up to date');
+    }
+  } catch (error) {
+    console.error('Error setting up collection validators:', error);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+// Run the function
+setupValidation();